@@ -20,86 +20,305 @@
 Ext.ns('Ext.ux');
 
 Ext.define('Ext.ux.Cache', {
-
-    // Prefix to use with Web Storage
-    keyPrefix: 'Ext.ux.Cache.',
     
-    // Default in-memory storage implements API compatible with webStorage
-    storage: {
-        items:  {},
-        keys:   [],
-        length: 0,
-        
-        key: function(index) {
-            return this.keys[index];
-        },
-        
-        getItem: function(key) {
-            return this.items[key];
-        },
-        
-        setItem: function(key, value) {
-            var me = this;
-            
-            if ( !me.items[key] ) {
-                me.keys.push(key);
-                me.length++;
-            };
-            
-            me.items[key] = value;
-        },
+    requires: [
+        'Ext.ux.cache.Storage',
+        'Ext.ux.cache.MemoryStorage',
+        'Ext.ux.cache.WebStorage',
+        'Ext.ux.cache.IndexedDBStorage',
+        'Ext.ux.cache.OverflowStorage',
+        'Ext.ux.cache.Compressor',
+        'Ext.ux.cache.Cipher',
+        'Ext.ux.cache.Transaction'
+    ],
+    
+    mixins: {
+        observable: 'Ext.util.Observable'
+    },
+    
+    statics: {
+        // Storage format versions stamped on serialized items; items without
+        // the stamp were written before it was introduced and have format 0
+        FORMAT_TREE:    1,      // Every value is a { type, value } pair
+        FORMAT_COMPACT: 2,      // Plain JSON, with type tags only where needed
         
-        removeItem: function(key) {
-            var me = this;
-            
-            if ( !me.items[key] ) return;
-            
-            Ext.Array.remove(me.keys, key);
-            delete me.items[key];
-            me.length--;
-        },
+        // Compressed and encrypted items start with these markers
+        COMPRESSED: 'Z:',
+        ENCRYPTED:  'E:',
         
-        clear: function() {
-            var me = this;
-            
-            me.items  = {};
-            me.keys   = [];
-            me.length = 0;
-        }
+        // Separates namespace names in key prefix, cannot be used in keys
+        SEPARATOR: '\u001f'
     },
 
+    // Prefix to use with storage keys
+    keyPrefix: 'Ext.ux.Cache.',
+    
+    // Maximum number of items to keep in cache, 0 means no limit
+    maxItems: 0,
+    
+    // Maximum total size of cached items in bytes, 0 means no limit
+    maxBytes: 0,
+    
+    // Which items to evict first when cache is full
+    evictionPolicy: 'lru',
+    
+    // How often to purge expired items, in milliseconds; 0 means never
+    sweepInterval: 0,
+    
+    // Whether values with circular references can be stored
+    allowCircular: true,
+    
+    // Whether to keep access metadata when cache size is not limited
+    trackAccess: false,
+    
+    // How often to fire stats event, in milliseconds; 0 means never
+    statsInterval: 0,
+    
+    // Version of application data stored in cache, 0 means unversioned
+    version: 0,
+    
+    // Function to upgrade items stored with older data version
+    migrate: null,
+    
+    // Whether to store items in compact format
+    compact: false,
+    
+    // Whether to compress stored items
+    compress: false,
+    
+    // AES key to encrypt stored items with
+    encryptionKey: null,
+    
+    // Whether to encrypt storage keys, too
+    encryptKeys: false,
+    
+    // What to do with items that cannot be read
+    onCorrupt: 'throw',
+    
     /**
      * @constructor
      *
-     * @param {Object} config
-     * @param {String} .storage Storage type: 'permanent' or 'session'. Default: 'session'.
-     * @param {String} .keyPrefix (optional) Key prefix to prepend to webStorage keys.
+     * @param {Object} config (optional)
+     * @param {String/Ext.ux.cache.Storage} .storage Storage type: 'permanent',
+     *      'session', 'memory' or 'indexeddb', or storage backend instance.
+     *      When Web Storage or IndexedDB is not available, memory storage is used.
+     *      Each cache instance has its own memory storage. Default: 'session'.
+     * @param {String} .keyPrefix (optional) Key prefix to prepend to storage keys.
      *      Default: 'Ext.ux.Cache.'
+     * @param {Int} .maxItems (optional) Maximum number of items to keep in cache.
+     *      Default: 0 (no limit)
+     * @param {Int} .maxBytes (optional) Maximum total size of cached items, in bytes.
+     *      Default: 0 (no limit)
+     * @param {String/Function} .evictionPolicy (optional) Which items to evict first
+     *      when cache is full: 'lru' (least recently used), 'lfu' (least frequently used),
+     *      'fifo' (oldest), 'expires' (soonest to expire), or a comparator function
+     *      that is passed two item descriptors (see _get_entries) and should return
+     *      negative number if the first item is to be evicted before the second one.
+     *      Expired items are always evicted first. Default: 'lru'
+     * @param {Int} .sweepInterval (optional) When set, expired items are purged
+     *      upon construction and then periodically with this interval, in milliseconds.
+     *      Default: 0 (expired items are only removed when accessed)
+     * @param {Boolean} .allowCircular (optional) Objects and arrays referenced more than
+     *      once in a value are always restored as the same object, preserving identity.
+     *      Set this option to false to reject values with circular references instead
+     *      of storing them. Default: true
+     * @param {Int} .statsInterval (optional) When set, stats event is fired
+     *      periodically with this interval, in milliseconds. Default: 0 (never)
+     * @param {Boolean} .trackAccess (optional) Keep creation and last access time
+     *      and number of reads for every item, see getMeta(). This is always done
+     *      when maxItems or maxBytes is set, since eviction policy needs it.
+     *      Either way, every get() costs a write to storage. Without it, items
+     *      in Web Storage only carry creation time, so 'lru' and 'lfu' policies
+     *      evict the oldest items when quota is exceeded. Default: false
+     * @param {Int} .version (optional) Version of application data. Items are stamped
+     *      with this version when stored; items with another version are passed
+     *      to migrate function when read. Default: 0 (unversioned)
+     * @param {Function} .migrate (optional) Function that upgrades value of an item
+     *      stored with older version. It is called in cache scope and is passed
+     *      the old version and the value, and should return upgraded value,
+     *      or undefined to discard the item. Upgraded items are stored back.
+     *      Items with older version are treated as missing when there is no migrate
+     *      function, and items with newer version always are; they are left
+     *      in storage for the code that wrote them. Default: none
+     * @param {Boolean} .compact (optional) Store items in compact format: plain JSON
+     *      with type tags only for values that JSON cannot represent, such as Dates.
+     *      Items in either format can be read regardless of this option.
+     *      Default: false
+     * @param {Boolean} .compress (optional) Compress stored items with LZW algorithm,
+     *      unless that does not make them shorter. Compressed items can be read
+     *      regardless of this option. Default: false
+     * @param {String/Array/Uint8Array/ArrayBuffer} .encryptionKey (optional) AES key,
+     *      16, 24 or 32 bytes long, as an array of bytes or hex string. When set,
+     *      items in Web Storage and IndexedDB are encrypted with AES-GCM; items
+     *      that were changed, moved to another key or not encrypted at all
+     *      are rejected with an exception. Default: none
+     * @param {Boolean} .encryptKeys (optional) Store items under keyed hashes
+     *      of their keys, so that keys cannot be read from storage either.
+     *      Needs encryptionKey. Default: false
+     * @param {String} .onCorrupt (optional) What to do when an item cannot be read
+     *      because it is not valid JSON, its checksum does not match, or it cannot
+     *      be decrypted or deserialized: 'throw' an exception, 'remove' the item,
+     *      or 'ignore' it; in the last two cases the item is treated as missing.
+     *      corrupt event is fired in any case. Default: 'throw'
+     * @param {Object} .listeners (optional) Event listeners
      */
     constructor: function(config) {
         var me = this;
         
-        if ( config.storage === 'permanent' ) {
-            if ( !Ext.isIE6 && !Ext.isIE7 && (window.localStorage != undefined) ) {
-                me.storage    = window.localStorage;
-                me.webStorage = true;
-            };
-        }
-        else if ( config.storage === 'session' || !config.storage ) {
-            if ( !Ext.isIE6 && !Ext.isIE7 && (window.sessionStorage != undefined) ) {
-                me.storage    = window.sessionStorage;
-                me.webStorage = true;
-            };
-        };
+        config = Ext.apply({}, config);
+        
+        me.storage    = me._create_storage(config.storage || 'session');
+        me.webStorage = me._get_backend() instanceof Ext.ux.cache.WebStorage;
         
         delete config['storage'];
         
-        if ( !me.webStorage ) {
-            delete config['keyPrefix'];    // Not used with memory storage
-            me.keyPrefix = '';
-        };
+        me.mixins.observable.constructor.call(me, config);
+        
+        if ( me.encryptionKey )
+            me.cipher = Ext.create('Ext.ux.cache.Cipher', { key: me.encryptionKey });
+        
+        delete me.encryptionKey;        // Cipher has it, no need to expose it
+        
+        if ( me.encryptKeys && !me.cipher )
+            Ext.Error.raise('Encrypting keys needs encryption key');
         
-        Ext.apply(me, config);
+        if ( me.onCorrupt !== 'throw' && me.onCorrupt !== 'remove' && me.onCorrupt !== 'ignore' )
+            Ext.Error.raise({ msg: 'Invalid onCorrupt policy', policy: me.onCorrupt });
+        
+        me.addEvents(
+            /**
+             * @event quotaexceeded
+             * Fires when Web Storage quota is exceeded, before cache tries to free
+             * some space by purging expired items and evicting others. If there is
+             * still not enough space, the item is kept in memory; so are the items
+             * that don't fit later on, and this event is not fired again. Items that
+             * fit are still stored in Web Storage.
+             * @param {Ext.ux.Cache} this
+             * @param {String} key The key of the item being stored
+             */
+            'quotaexceeded',
+            
+            /**
+             * @event beforeset
+             * Fires before an item is stored in cache. Return false to cancel.
+             * @param {Ext.ux.Cache} this
+             * @param {String} key
+             * @param {Mixed} value New value
+             * @param {Mixed} oldValue Old value, or undefined if there was none
+             */
+            'beforeset',
+            
+            /**
+             * @event set
+             * Fires after an item is stored in cache.
+             * @param {Ext.ux.Cache} this
+             * @param {String} key
+             * @param {Mixed} value New value
+             * @param {Mixed} oldValue Old value, or undefined if there was none
+             */
+            'set',
+            
+            /**
+             * @event remove
+             * Fires after an item is removed from cache with remove().
+             * @param {Ext.ux.Cache} this
+             * @param {String} key
+             * @param {Mixed} oldValue Removed value
+             */
+            'remove',
+            
+            /**
+             * @event setmany
+             * Fires after a batch of items is stored with setMany().
+             * Individual set events are not fired for them.
+             * @param {Ext.ux.Cache} this
+             * @param {Object} values Key/value pairs that were stored
+             */
+            'setmany',
+            
+            /**
+             * @event removemany
+             * Fires after a batch of items is removed with removeMany().
+             * Individual remove events are not fired for them.
+             * @param {Ext.ux.Cache} this
+             * @param {String[]} keys The keys of removed items
+             */
+            'removemany',
+            
+            /**
+             * @event commit
+             * Fires after a transaction is committed, see transaction().
+             * Individual set and remove events are not fired for its changes.
+             * @param {Ext.ux.Cache} this
+             * @param {String[]} keys The keys of changed items
+             */
+            'commit',
+            
+            /**
+             * @event expire
+             * Fires when an expired item is found and removed from cache.
+             * @param {Ext.ux.Cache} this
+             * @param {String} key
+             * @param {Mixed} oldValue Expired value
+             */
+            'expire',
+            
+            /**
+             * @event evict
+             * Fires when an item is evicted to make room for another one.
+             * @param {Ext.ux.Cache} this
+             * @param {String} key
+             * @param {Mixed} oldValue Evicted value
+             */
+            'evict',
+            
+            /**
+             * @event stale
+             * Fires when get() returns a stale item, see staleAfter option in set().
+             * @param {Ext.ux.Cache} this
+             * @param {String} key
+             * @param {Mixed} value Stale value
+             */
+            'stale',
+            
+            /**
+             * @event corrupt
+             * Fires when an item cannot be read, before onCorrupt policy is applied.
+             * @param {Ext.ux.Cache} this
+             * @param {String} key The key of corrupted item, or null if it cannot
+             *      be known because keys are encrypted
+             * @param {Error} error The exception thrown while reading the item
+             */
+            'corrupt',
+            
+            /**
+             * @event clear
+             * Fires after all items are removed from cache.
+             * @param {Ext.ux.Cache} this
+             */
+            'clear',
+            
+            /**
+             * @event remotechange
+             * Fires when an item is changed or removed in another browser window
+             * or tab sharing the same Web Storage. Only permanent cache gets these
+             * events, since sessionStorage is not shared between tabs.
+             * @param {Ext.ux.Cache} this
+             * @param {String} key The key of changed item, or null if the whole
+             *      storage was cleared
+             * @param {Mixed} value New value, or undefined if item was removed
+             * @param {Mixed} oldValue Old value, or undefined if there was none
+             */
+            'remotechange',
+            
+            /**
+             * @event stats
+             * Fires periodically when statsInterval config option is set.
+             * @param {Ext.ux.Cache} this
+             * @param {Object} stats Cache statistics, see getStats()
+             */
+            'stats'
+        );
         
         me.functionTable = {
             'undefined': function() { return undefined },
@@ -109,8 +328,71 @@ Ext.define('Ext.ux.Cache', {
             'boolean':   me._deserialize_boolean,
             'date':      me._deserialize_date,
             'array':     me._deserialize_array,
-            'object':    me._deserialize_object
+            'object':    me._deserialize_object,
+            'ref':       me._deserialize_ref
+        };
+        
+        me.customTypes     = {};
+        me.customTypeNames = [];
+        
+        me._register_builtin_types();
+        
+        // Fail early on unknown policy
+        me.evictionComparator = me._get_eviction_comparator(me.evictionPolicy);
+        
+        if ( me.webStorage )
+            Ext.EventManager.on(window, 'storage', me._on_storage, me);
+        
+        me.resetStats();
+        
+        if ( me.sweepInterval ) {
+            me.purgeExpired();
+            
+            me.sweeper = new Ext.util.TaskRunner();
+            me.sweeper.start({
+                run:         me.purgeExpired,
+                scope:       me,
+                interval:    me.sweepInterval,
+                fireOnStart: false
+            });
+        };
+        
+        if ( me.statsInterval ) {
+            me.reporter = new Ext.util.TaskRunner();
+            me.reporter.start({
+                run:         function() { me.fireEvent('stats', me, me.getStats()) },
+                interval:    me.statsInterval,
+                fireOnStart: false
+            });
+        };
+    },
+    
+    /**
+     * destroy
+     *
+     * Stops periodic expiration sweeps and stats events, stops listening to changes made
+     * in other tabs and removes all event listeners. Cached items are left intact.
+     */
+    destroy: function() {
+        var me = this;
+        
+        Ext.EventManager.un(window, 'storage', me._on_storage, me);
+        
+        if ( me.sweeper ) {
+            me.sweeper.stopAll();
+            delete me.sweeper;
+        };
+        
+        if ( me.reporter ) {
+            me.reporter.stopAll();
+            delete me.reporter;
         };
+        
+        Ext.Object.each(me.namespaces || {}, function(name, namespace) {
+            namespace.destroy();
+        });
+        
+        me.clearListeners();
     },
     
     /**
@@ -124,41 +406,44 @@ Ext.define('Ext.ux.Cache', {
      * Existence of the key is not checked, so if new value is passed with old key,
      * old value gets replaced.
      *
+     * If cache is limited with maxItems or maxBytes and there is not enough room
+     * for the new item, other items are evicted according to evictionPolicy.
+     * The same happens when Web Storage quota is exceeded, see quotaexceeded event.
+     *
      * @param {String} key Cache key
-     * @param {Mixed} value Cache value, can be of any primitive type, Array or Object
+     * @param {Mixed} value Cache value, can be of any primitive type, Array, Object,
+     *      RegExp, typed array, Map, Set, Ext.data.Model instance or any type
+     *      registered with registerType(). Shared and circular references
+     *      to Objects and Arrays are preserved, see allowCircular config option.
      * @param {Int/Date} expires Can be a Date object for particular date and time of
      *      item expiration, or number of milliseconds to live.
+     * @param {Object} options (optional) Additional options:
+     * @param {Boolean} .sliding When true, expiration time is pushed forward by
+     *      the original time-to-live every time the item is read with get(),
+     *      so the item only expires when it is not used for that long.
+     * @param {Int/Date} .staleAfter Date, or number of milliseconds from now, after
+     *      which the item is considered stale: it is still returned by get() until
+     *      it expires, but stale event is fired to signal that it should be refreshed.
+     * @param {String/String[]} .tags Tag or tags to mark the item with, so that it
+     *      can be found with keysByTag() and removed with invalidateTag()
      *
-     * @return {Mixed} Input value
+     * @return {Mixed} Input value, or undefined if beforeset listener cancelled the operation
      */
-     set: function(key, value, expires) {
+     set: function(key, value, expires, options) {
         var me = this,
-            type, exp;
+            old;
         
         // Check for invalid input first
-        if ( !Ext.isString(key) || key === '' )
-            Ext.Error.raise('Cache key must be a non-empty string');
+        me._check_item(key, value, expires, options);
         
-        if ( value === undefined )
-            Ext.Error.raise('Cache value must be defined primitive, object or null');
+        if ( me.hasListener('beforeset') || me.hasListener('set') )
+            old = me._get_old_value(key);
         
-        type = me._get_value_type(value);
-        if ( type == 'function' || type == 'regexp' || type == 'element' ||
-             type == 'textnode' || type == 'whitespace' )
-                Ext.Error.raise('Cache cannot store ' + type + ' type values');
+        if ( me.fireEvent('beforeset', me, key, value, old) === false ) return;
         
-        if ( expires !== undefined && (!Ext.isNumber(expires) && !Ext.isDate(expires)) )
-            Ext.Error.raise('Cache expiration modifier must be a number of milliseconds or Date object');
+        me._put(key, value, expires, options);
         
-        // Ensure there is no value with the same key
-        me.remove(key);
-
-        exp = Ext.isDate(expires)    ? expires
-            : Ext.isNumeric(expires) ? Ext.Date.add(new Date(), Ext.Date.MILLI, expires)
-            :                          undefined
-            ;
-
-        me.storage.setItem( me.keyPrefix + key, me._freeze({ value: value, expires: exp }) );
+        me.fireEvent('set', me, key, value, old);
         
         return value;
     },
@@ -168,25 +453,63 @@ Ext.define('Ext.ux.Cache', {
      *
      * Returns value for specified key from the cache.
      *
+     * Stale items (see staleAfter option in set()) are returned as usual, but stale
+     * event is fired and stale callback is called to signal that the item should be
+     * refreshed.
+     *
      * @param {String} key The key to look up in cache.
+     * @param {Object} options (optional) Additional options:
+     * @param {Function} .stale Function to call when the item is stale;
+     *      it is passed the key and the value
+     * @param {Object} .scope Scope to call stale function in
      *
      * @return {Mixed} Value
      */
-    get: function(key) {
-        var me = this,
+    get: function(key, options) {
+        var me      = this,
+            touched = false,
             item;
         
         // In order to see if it's expired, we need to fetch it first
         item = me._fetch_value(key);
         
-        if ( item === undefined ) return;   // Not found
+        if ( item === undefined ) {         // Not found
+            me.stats.misses++;
+            return;
+        };
         
         // If it has expired, remove it and return failure
         if ( item.expires && item.expires < +Ext.Date.now() ) {
-            me.remove(key);
+            me.stats.misses++;
+            me._expire(key, item);
             return undefined;
         };
         
+        me.stats.hits++;
+        
+        // Stale is still better than nothing, but somebody should get a fresh one
+        if ( item.fresh && item.fresh < +Ext.Date.now() ) {
+            me.fireEvent('stale', me, key, item.value);
+            
+            if ( options && options.stale )
+                Ext.callback(options.stale, options.scope || me, [key, item.value]);
+        };
+        
+        // Sliding expiration starts over
+        if ( item.ttl ) {
+            item.expires = Ext.Date.add(new Date(), Ext.Date.MILLI, item.ttl);
+            touched      = true;
+        };
+        
+        // Bump access metadata so that eviction policy knows about it
+        if ( me._tracks_access() ) {
+            item.accessed = me._tick();
+            item.hits     = (item.hits || 0) + 1;
+            touched       = true;
+        };
+        
+        if ( touched ) me._store(key, me._freeze(item, me._storage_key(key)));
+        
         // We got the value and it's not expired! Cool.
         return item.value;
     },
@@ -200,91 +523,1977 @@ Ext.define('Ext.ux.Cache', {
      *
      * @return {Boolean}
      */
-    has: function(key) {
+    has: function(key) {
+        var me = this;
+
+        return me._fetch_value(key) !== undefined;
+    },
+    
+    /**
+     * keys
+     *
+     * Returns the list of keys in cache.
+     *
+     * @return {String[]} Array of keys
+     */
+    keys: function() {
+        var me = this,
+            keys;
+        
+        // Key soup
+        keys = me._get_keys(me.storage) || [];
+        
+        // Real keys are only known to the items
+        if ( me.encryptKeys && me.storage.serialized ) keys = me._unhash_keys(keys);
+        
+        return keys;
+    },
+    
+    /**
+     * remove
+     *
+     * Removes an item with specified key from the cache.
+     *
+     * @param {String} key The key to remove from cache.
+     */
+    remove: function(key) {
+        var me = this,
+            old;
+        
+        if ( !me._may_have(key) ) return;   // Nothing to remove
+        
+        if ( me.hasListener('remove') ) old = me._get_old_value(key);
+
+        me._remove(key);
+        
+        me.fireEvent('remove', me, key, old);
+    },
+    
+    /**
+     * clear
+     *
+     * Removes all items from cache, including items in namespaces
+     */
+    clear: function() {
+        var me = this;
+        
+        // No need to read the items, even if they are corrupted. Backend knows
+        // about the items it has not loaded yet, so it does the job.
+        me.storage.removeItems(me.keyPrefix);
+        
+        me._fire_clear();
+    },
+    
+    /**
+     * getMany
+     *
+     * Returns values for several keys at once, as get() would.
+     * Missing and expired items are not included in the result.
+     *
+     * @param {String[]} keys The keys to look up in cache.
+     *
+     * @return {Object} Key/value pairs
+     */
+    getMany: function(keys) {
+        var me = this;
+        
+        // Reading can write too, see get()
+        return me._atomic(function() {
+            var values = {},
+                value;
+            
+            for ( var i = 0, l = keys.length; i < l; i++ ) {
+                value = me.get(keys[i]);
+                
+                if ( value !== undefined ) values[ keys[i] ] = value;
+            };
+            
+            return values;
+        });
+    },
+    
+    /**
+     * setMany
+     *
+     * Adds several key/value pairs to cache at once. Either all items are stored,
+     * or none: if one of them fails, the cache is left as it was. beforeset
+     * and set events are not fired; setmany event is fired once instead.
+     *
+     * @param {Object} values Key/value pairs
+     * @param {Int/Date} expires (optional) Expiration modifier for all items, see set()
+     * @param {Object} options (optional) Options for all items, see set()
+     *
+     * @return {Object} Input values
+     */
+    setMany: function(values, expires, options) {
+        var me   = this,
+            keys = Ext.Object.getKeys(values);
+        
+        // Nothing is stored if any of the items is no good
+        for ( var i = 0, l = keys.length; i < l; i++ ) {
+            me._check_item(keys[i], values[ keys[i] ], expires, options);
+        };
+        
+        me._atomic(function() {
+            for ( var i = 0, l = keys.length; i < l; i++ ) {
+                me._put(keys[i], values[ keys[i] ], expires, options);
+            };
+        });
+        
+        me.fireEvent('setmany', me, values);
+        
+        return values;
+    },
+    
+    /**
+     * removeMany
+     *
+     * Removes several items from cache at once. Either all items are removed,
+     * or none. remove events are not fired; removemany event is fired once instead.
+     *
+     * @param {String[]} keys The keys to remove from cache.
+     *
+     * @return {Int} Number of items removed
+     */
+    removeMany: function(keys) {
+        var me      = this,
+            removed = [];
+        
+        me._atomic(function() {
+            for ( var i = 0, l = keys.length; i < l; i++ ) {
+                if ( !me._may_have(keys[i]) ) continue;
+                
+                me._remove(keys[i]);
+                removed.push(keys[i]);
+            };
+        });
+        
+        if ( removed.length ) me.fireEvent('removemany', me, removed);
+        
+        return removed.length;
+    },
+    
+    /**
+     * purgeExpired
+     *
+     * Removes all expired items from the cache. Normally expired items are removed
+     * lazily when accessed; use this method or sweepInterval config option
+     * to reclaim storage space taken by items that are never read again.
+     *
+     * @return {Int} Number of items removed
+     */
+    purgeExpired: function() {
+        var me    = this,
+            keys  = me.keys(),
+            now   = +Ext.Date.now(),
+            count = 0;
+        
+        for ( var i = 0, l = keys.length; i < l; i++ ) {
+            var item = me._fetch_value(keys[i], true);
+            
+            if ( item && item.expires && item.expires < now ) {
+                me._expire(keys[i], item);
+                count++;
+            };
+        };
+        
+        return count;
+    },
+    
+    /**
+     * each
+     *
+     * Calls fn for every item in cache. Items are not touched, that is,
+     * their sliding expiration and access metadata are not updated.
+     * Expired items are skipped, see options.
+     *
+     * @param {Function} fn Function to call, it is passed the key and the value;
+     *      return false to stop iteration
+     * @param {Object} scope (optional) Scope to call fn in. Default: the cache
+     * @param {Object} options (optional) Additional options:
+     * @param {Boolean} .purge When true, expired items are removed, firing
+     *      expire event. Default: false
+     */
+    each: function(fn, scope, options) {
+        var me = this;
+        
+        me._each_item(me.keys(), function(key, item) {
+            return fn.call(scope || me, key, item.value);
+        }, options);
+    },
+    
+    /**
+     * find
+     *
+     * Returns the list of keys matching a pattern. Expired items are skipped,
+     * see each() options.
+     *
+     * @param {String/RegExp} pattern Regular expression, or glob pattern where
+     *      '*' stands for any number of characters and '?' for one character
+     * @param {Object} options (optional) Additional options, see each()
+     *
+     * @return {String[]} Array of keys
+     */
+    find: function(pattern, options) {
+        var me    = this,
+            found = [],
+            regex, keys;
+        
+        if ( Ext.typeOf(pattern) === 'regexp' ) {
+            regex = pattern;
+        }
+        else if ( Ext.isString(pattern) ) {
+            regex = new RegExp('^' + Ext.String.escapeRegex(pattern)
+                                        .replace(/\\\*/g, '.*')
+                                        .replace(/\\\?/g, '.')
+                                   + '$');
+        }
+        else {
+            Ext.Error.raise('Cache key pattern must be a String or RegExp');
+        };
+        
+        keys = Ext.Array.filter(me.keys(), function(key) {
+            regex.lastIndex = 0;        // Global regexes remember where they stopped
+            
+            return regex.test(key);
+        });
+        
+        me._each_item(keys, function(key) { found.push(key) }, options);
+        
+        return found;
+    },
+    
+    /**
+     * entries
+     *
+     * Returns all items in cache. Expired items are skipped, see each() options.
+     *
+     * @param {Object} options (optional) Additional options, see each()
+     *
+     * @return {Object[]} Array of objects with key and value properties
+     */
+    entries: function(options) {
+        var me      = this,
+            entries = [];
+        
+        me._each_item(me.keys(), function(key, item) {
+            entries.push({ key: key, value: item.value });
+        }, options);
+        
+        return entries;
+    },
+    
+    /**
+     * getMeta
+     *
+     * Returns information about an item without reading its value.
+     * Access time and number of reads are only known when trackAccess
+     * config option is set, or cache size is limited; creation time is
+     * known for items in Web Storage as well.
+     *
+     * @param {String} key
+     * @param {Object} options (optional) Additional options, see each()
+     *
+     * @return {Object} Item information, or undefined if there is no such item
+     *      or it has expired:
+     * @return {Date} .expires Expiration time, or null if item does not expire
+     * @return {Date} .staleAfter Time after which item is stale, or null
+     * @return {Date} .created Time when item was stored, or null if unknown
+     * @return {Date} .accessed Time when item was last read, or null if unknown
+     * @return {Int} .hits Number of reads, or null if unknown
+     * @return {String[]} .tags Item tags
+     * @return {Int} .size Approximate number of bytes taken by item in storage
+     */
+    getMeta: function(key, options) {
+        var me = this,
+            meta;
+        
+        me._each_item([ key ], function(key, item) {
+            var frozen = me.storage.getItem(me._storage_key(key)),
+                known  = !!item.accessed;   // Stored before tracking was on?
+            
+            meta = {
+                expires:    item.expires ? new Date(+item.expires) : null,
+                staleAfter: item.fresh   ? new Date(+item.fresh)   : null,
+                created:    item.created ? new Date(item.created)  : null,
+                accessed:   known ? new Date(item.accessed) : null,
+                hits:       known ? item.hits               : null,
+                tags:       item.tags || [],
+                size:       me._get_item_size(key, frozen)
+            };
+        }, options);
+        
+        return meta;
+    },
+    
+    /**
+     * keysByTag
+     *
+     * Returns the list of keys of items marked with specified tag, see set().
+     * Expired items are removed along the way.
+     *
+     * @param {String} tag
+     *
+     * @return {String[]} Array of keys
+     */
+    keysByTag: function(tag) {
+        var me      = this,
+            entries = me._get_tag_index(),
+            now     = +Ext.Date.now(),
+            keys    = [];
+        
+        for ( var i = 0, l = entries.length; i < l; i++ ) {
+            var key = entries[i][0],
+                item;
+            
+            if ( Ext.Array.indexOf(entries[i][1], tag) === -1 ) continue;
+            
+            item = me._fetch_value(key, true);
+            
+            if ( item === undefined ) {
+                me._untag(key);             // Removed behind our back
+            }
+            else if ( item.expires && item.expires < now ) {
+                me._expire(key, item);
+            }
+            else {
+                keys.push(key);
+            };
+        };
+        
+        return keys;
+    },
+    
+    /**
+     * invalidateTag
+     *
+     * Removes all items marked with specified tag, see set(). remove event
+     * is fired for every item.
+     *
+     * @param {String} tag
+     *
+     * @return {Int} Number of items removed
+     */
+    invalidateTag: function(tag) {
+        var me   = this,
+            keys = me.keysByTag(tag);
+        
+        for ( var i = 0, l = keys.length; i < l; i++ ) {
+            me.remove(keys[i]);
+        };
+        
+        return keys.length;
+    },
+    
+    /**
+     * getStats
+     *
+     * Returns cache statistics. Counters are kept in memory since construction
+     * or last resetStats() call; item count and size are measured in storage.
+     * Namespace items are not counted in parent cache, namespaces
+     * have their own statistics.
+     *
+     * @return {Object} Statistics:
+     * @return {Int} .hits Number of get() calls that returned a value
+     * @return {Int} .misses Number of get() calls that found nothing
+     * @return {Number} .hitRate Share of hits in all get() calls, from 0 to 1
+     * @return {Int} .expirations Number of expired items removed
+     * @return {Int} .evictions Number of items evicted to make room for others
+     * @return {Int} .writes Number of items stored
+     * @return {Int} .items Number of items in cache, including expired ones
+     *      that were not removed yet
+     * @return {Int} .bytes Approximate number of bytes taken by items in storage
+     * @return {Object} .namespaces Statistics of namespaces, by name
+     */
+    getStats: function() {
+        var me    = this,
+            pfx   = me.keyPrefix,
+            keys  = me._get_keys(me.storage),
+            stats = Ext.apply({}, me.stats),
+            reads = stats.hits + stats.misses;
+        
+        stats.hitRate    = reads ? stats.hits / reads : 0;
+        stats.items      = keys.length;
+        stats.bytes      = 0;
+        stats.namespaces = {};
+        
+        for ( var i = 0, l = keys.length; i < l; i++ ) {
+            stats.bytes += me._get_raw_size(pfx + keys[i], me.storage.getItem(pfx + keys[i]));
+        };
+        
+        Ext.Object.each(me.namespaces || {}, function(name, namespace) {
+            stats.namespaces[name] = namespace.getStats();
+        });
+        
+        return stats;
+    },
+    
+    /**
+     * resetStats
+     *
+     * Sets statistics counters to zero, in namespaces as well.
+     */
+    resetStats: function() {
+        var me = this;
+        
+        me.stats = { hits: 0, misses: 0, expirations: 0, evictions: 0, writes: 0 };
+        
+        Ext.Object.each(me.namespaces || {}, function(name, namespace) {
+            namespace.resetStats();
+        });
+    },
+    
+    /**
+     * transaction
+     *
+     * Runs fn with a transaction object that has get(), has(), keys(), set()
+     * and remove() methods, see Ext.ux.cache.Transaction. Changes made through it
+     * are seen by its reads but are not written to storage until fn returns;
+     * then all of them are committed at once. If fn throws an exception,
+     * or commit fails, nothing is changed and the exception is rethrown.
+     * fn can also call commit() or rollback() itself.
+     *
+     * @param {Function} fn Function to call, it is passed the transaction
+     * @param {Object} scope (optional) Scope to call fn in. Default: the cache
+     *
+     * @return {Mixed} Whatever fn returns
+     */
+    transaction: function(fn, scope) {
+        var me = this,
+            tx, result;
+        
+        tx = Ext.create('Ext.ux.cache.Transaction', { cache: me });
+        
+        try {
+            result = fn.call(scope || me, tx);
+        }
+        catch (e) {
+            if ( !tx.finished ) tx.rollback();
+            
+            throw e;
+        };
+        
+        if ( !tx.finished ) tx.commit();
+        
+        return result;
+    },
+    
+    /**
+     * getAsync
+     *
+     * Asynchronous version of get(). Waits until storage backend is ready,
+     * then returns the value without blocking the caller.
+     *
+     * All asynchronous methods return a Promise when no callbacks are passed
+     * and the browser supports Promises. Otherwise, results are passed to callbacks
+     * specified in options object:
+     *
+     *      success:  function(value) called when operation succeeds
+     *      failure:  function(error) called when operation fails
+     *      callback: function(value, success, error) called in either case
+     *      scope:    scope to call callbacks in
+     *
+     * @param {String} key The key to look up in cache.
+     * @param {Object} options (optional) Callbacks and scope, plus get() options
+     *
+     * @return {Promise} Promise that is resolved with the value, or undefined
+     */
+    getAsync: function(key, options) {
+        var me = this;
+        
+        return me._run_async(me.get, [key, options], options);
+    },
+    
+    /**
+     * setAsync
+     *
+     * Asynchronous version of set(). See getAsync() for options.
+     *
+     * @param {String} key Cache key
+     * @param {Mixed} value Cache value
+     * @param {Int/Date} expires (optional) Expiration modifier, see set()
+     * @param {Object} options (optional) Callbacks and scope, plus set() options
+     *
+     * @return {Promise} Promise that is resolved with the value, or undefined
+     */
+    setAsync: function(key, value, expires, options) {
+        var me = this;
+        
+        // Expiration modifier can be skipped
+        if ( arguments.length == 3 && Ext.isObject(expires) ) {
+            options = expires;
+            expires = undefined;
+        };
+        
+        return me._run_async(me.set, [key, value, expires, options], options);
+    },
+    
+    /**
+     * removeAsync
+     *
+     * Asynchronous version of remove(). See getAsync() for options.
+     *
+     * @param {String} key The key to remove from cache.
+     * @param {Object} options (optional) Callbacks and scope
+     *
+     * @return {Promise} Promise that is resolved when item is removed, or undefined
+     */
+    removeAsync: function(key, options) {
+        var me = this;
+        
+        return me._run_async(me.remove, [key], options);
+    },
+    
+    /**
+     * keysAsync
+     *
+     * Asynchronous version of keys(). See getAsync() for options.
+     *
+     * @param {Object} options (optional) Callbacks and scope
+     *
+     * @return {Promise} Promise that is resolved with array of keys, or undefined
+     */
+    keysAsync: function(options) {
+        var me = this;
+        
+        return me._run_async(me.keys, [], options);
+    },
+    
+    /**
+     * fetch
+     *
+     * Returns cached value for specified key, or calls loader function to get
+     * the value, stores it in cache and returns it. When fetch() is called for
+     * the same key while loader is running, loader is not called again and all
+     * callers get the same result.
+     *
+     * If cached value is stale (see staleAfter option in set()), it is returned
+     * right away and loader is called in background to refresh it.
+     *
+     * Loader function is called with the key and two functions: success(value)
+     * and failure(error), one of which it should call when done. Alternatively,
+     * loader can return a Promise. If loader returns undefined value, nothing
+     * is stored in cache. For example:
+     *
+     *      cache.fetch('users', function(key, success, failure) {
+     *          Ext.Ajax.request({
+     *              url:     '/users',
+     *              success: function(response) {
+     *                  success( Ext.JSON.decode(response.responseText) );
+     *              },
+     *              failure: failure
+     *          });
+     *      }, 60000).then(function(users) { ... });
+     *
+     * The result is always delivered asynchronously, see getAsync() for options.
+     *
+     * @param {String} key Cache key
+     * @param {Function} loader Loader function
+     * @param {Int/Date} expires (optional) Expiration modifier for loaded value, see set()
+     * @param {Object} options (optional) Callbacks and scope, plus set() options;
+     *      loader is called in the same scope as callbacks
+     *
+     * @return {Promise} Promise that is resolved with the value, or undefined
+     */
+    fetch: function(key, loader, expires, options) {
+        var me = this,
+            deferred;
+        
+        // Expiration modifier can be skipped
+        if ( arguments.length == 3 && Ext.isObject(expires) ) {
+            options = expires;
+            expires = undefined;
+        };
+        
+        options  = options || {};
+        deferred = me._create_deferred(options);
+        
+        me.storage.onReady(function() {
+            Ext.defer(me._fetch_through, 1, me, [key, loader, expires, options, deferred]);
+        });
+        
+        return deferred.promise;
+    },
+    
+    /**
+     * memoize
+     *
+     * Returns a function that calls fn and stores its result in cache
+     * under a key made of the arguments, so that next call with the same
+     * arguments returns stored result without calling fn. Undefined results
+     * and exceptions are not cached. For example:
+     *
+     *      var getUser = cache.memoize(function(id) { ... }, {
+     *          name:    'user',
+     *          expires: 60000
+     *      });
+     *
+     * By default, the key is the arguments encoded in JSON, so they should be
+     * JSON friendly; use keyFn otherwise. Give each memoized function its own
+     * name, or cache, when several of them share a cache.
+     *
+     * @param {Function} fn Function to memoize
+     * @param {Object} options (optional) Additional options, plus set() options:
+     * @param {Function} .keyFn Function that is passed the arguments and should
+     *      return cache key; it is called in the same scope as fn
+     * @param {String} .name Prefix for cache keys
+     * @param {Int/Date} .expires Expiration modifier for results, see set()
+     * @param {Object} .scope Scope to call fn in. Default: scope of the call
+     *
+     * @return {Function} Memoized function
+     */
+    memoize: function(fn, options) {
+        var me = this;
+        
+        options = options || {};
+        
+        return function() {
+            var scope = options.scope || this,
+                key   = me._get_memo_key(options, arguments, scope),
+                value = me.get(key);
+            
+            if ( value !== undefined ) return value;
+            
+            value = fn.apply(scope, arguments);
+            
+            if ( value !== undefined ) me.set(key, value, options.expires, options);
+            
+            return value;
+        };
+    },
+    
+    /**
+     * memoizeAsync
+     *
+     * Same as memoize(), for functions that return a Promise. Memoized function
+     * returns a Promise too, see fetch(): calls made while fn is running wait
+     * for the same result, and rejections are not cached. fn can return
+     * a plain value as well.
+     *
+     * @param {Function} fn Function to memoize
+     * @param {Object} options (optional) Same as for memoize()
+     *
+     * @return {Function} Memoized function
+     */
+    memoizeAsync: function(fn, options) {
+        var me = this;
+        
+        options = options || {};
+        
+        return function() {
+            var scope = options.scope || this,
+                args  = arguments,
+                key   = me._get_memo_key(options, args, scope);
+            
+            return me.fetch(key, function(key, success) {
+                var result = fn.apply(scope, args);
+                
+                if ( result && Ext.isFunction(result.then) ) return result;
+                
+                success(result);
+            }, options.expires, options);
+        };
+    },
+    
+    /**
+     * registerType
+     *
+     * Registers a custom value type so that values of this type can be stored
+     * in cache and restored back. Type definition is an object with three functions:
+     *
+     *      test:        function(value) should return true if value is of this type
+     *      serialize:   function(value) should convert the value to something that
+     *                   cache can store: a primitive, Array, Object or another
+     *                   registered type
+     *      deserialize: function(data) should convert serialized data back to value
+     *
+     * and optional scope to call these functions in. Types registered later take
+     * precedence when several types pass the test; registering a type with the same
+     * name replaces it. Built-in types cannot be replaced.
+     *
+     * Values kept in memory storage are not serialized at all.
+     *
+     * @param {String} name Type name
+     * @param {Object} type Type definition
+     *
+     * @return {Ext.ux.Cache} this
+     */
+    registerType: function(name, type) {
+        var me = this;
+        
+        if ( !Ext.isString(name) || name === '' )
+            Ext.Error.raise('Type name must be a non-empty string');
+        
+        if ( me.functionTable[name] && !me.customTypes[name] )
+            Ext.Error.raise('Cannot replace built-in type ' + name);
+        
+        if ( !type || !Ext.isFunction(type.test) || !Ext.isFunction(type.serialize) ||
+             !Ext.isFunction(type.deserialize) )
+            Ext.Error.raise('Type must have test, serialize and deserialize functions');
+        
+        // Newer types go first
+        Ext.Array.remove(me.customTypeNames, name);
+        me.customTypeNames.unshift(name);
+        
+        me.customTypes[name]   = type;
+        me.functionTable[name] = function(value, refs) {
+            return me._deserialize_custom(name, value, refs);
+        };
+        
+        return me;
+    },
+    
+    /**
+     * namespace
+     *
+     * Returns child cache that keeps its items in the same storage under its own
+     * key prefix. Namespace items are not seen by parent cache methods, except
+     * for clear() that removes items in the parent cache and all its namespaces.
+     * Namespaces can be nested.
+     *
+     * Namespace inherits parent cache options, except for listeners; options
+     * passed in config object override inherited ones. Calling namespace() again
+     * with the same name returns the same instance, config is ignored then.
+     *
+     * @param {String} name Namespace name
+     * @param {Object} config (optional) Namespace options, see constructor
+     *
+     * @return {Ext.ux.Cache} Namespace cache
+     */
+    namespace: function(name, config) {
+        var me         = this,
+            namespaces = me.namespaces || (me.namespaces = {}),
+            names      = me.customTypeNames,
+            child;
+        
+        if ( !Ext.isString(name) || name === '' )
+            Ext.Error.raise('Namespace name must be a non-empty string');
+        
+        if ( name.indexOf(me.self.SEPARATOR) !== -1 )
+            Ext.Error.raise('Namespace name cannot contain namespace separator');
+        
+        if ( namespaces.hasOwnProperty(name) ) return namespaces[name];
+        
+        child = Ext.create('Ext.ux.Cache', Ext.apply({
+            storage:        me.storage,
+            keyPrefix:      me._storage_key(name) + me.self.SEPARATOR,
+            maxItems:       me.maxItems,
+            maxBytes:       me.maxBytes,
+            evictionPolicy: me.evictionPolicy,
+            sweepInterval:  me.sweepInterval,
+            allowCircular:  me.allowCircular,
+            trackAccess:    me.trackAccess,
+            version:        me.version,
+            migrate:        me.migrate,
+            compact:        me.compact,
+            compress:       me.compress,
+            cipher:         me.cipher,
+            encryptKeys:    me.encryptKeys,
+            onCorrupt:      me.onCorrupt
+        }, config));
+        
+        // Types registered later go first, so register them in reverse
+        for ( var i = names.length - 1; i >= 0; i-- ) {
+            child.registerType(names[i], me.customTypes[ names[i] ]);
+        };
+        
+        // Storage overflow is shared with the parent
+        child.parent = me;
+        
+        return namespaces[name] = child;
+    },
+    
+    /**
+     * @private Returns cache key for memoized function call
+     */
+    _get_memo_key: function(options, args, scope) {
+        var key = options.keyFn ? options.keyFn.apply(scope, args)
+                :                 Ext.JSON.encode( Ext.Array.toArray(args) )
+                ;
+        
+        // Numeric ids are the usual keys
+        key = String(key);
+        
+        return options.name ? options.name + ':' + key : key;
+    },
+    
+    /**
+     * @private Fires clear event for this cache and its namespaces
+     */
+    _fire_clear: function() {
+        var me = this;
+        
+        me.fireEvent('clear', me);
+        
+        Ext.Object.each(me.namespaces || {}, function(name, namespace) {
+            namespace._fire_clear();
+        });
+    },
+    
+    /**
+     * @private Runs specified method asynchronously when storage is ready
+     * and reports the result to callbacks and/or Promise
+     */
+    _run_async: function(fn, args, options) {
+        var me       = this,
+            deferred = me._create_deferred(options);
+        
+        me.storage.onReady(function() {
+            // Let the browser breathe before doing the actual work
+            Ext.defer(function() {
+                var value;
+                
+                try {
+                    value = fn.apply(me, args);
+                }
+                catch (e) {
+                    deferred.reject(e);
+                    return;
+                };
+                
+                deferred.resolve(value);
+            }, 1);
+        });
+        
+        return deferred.promise;
+    },
+    
+    /**
+     * @private Returns an object with resolve and reject methods that report
+     * operation result to callbacks in options, and a Promise if there are
+     * no callbacks and browser supports Promises
+     */
+    _create_deferred: function(options) {
+        var me       = this,
+            deferred = {},
+            scope, resolve, reject;
+        
+        options = options || {};
+        scope   = options.scope || me;
+        
+        if ( !options.success && !options.failure && !options.callback &&
+             typeof Promise !== 'undefined' )
+        {
+            deferred.promise = new Promise(function(res, rej) {
+                resolve = res;
+                reject  = rej;
+            });
+        };
+        
+        deferred.resolve = function(value) {
+            Ext.callback(options.success, scope, [value]);
+            if ( resolve ) resolve(value);
+            
+            Ext.callback(options.callback, scope, [value, true]);
+        };
+        
+        deferred.reject = function(error) {
+            Ext.callback(options.failure, scope, [error]);
+            if ( reject ) reject(error);
+            
+            Ext.callback(options.callback, scope, [undefined, false, error]);
+        };
+        
+        return deferred;
+    },
+    
+    /**
+     * @private Returns cached value or calls the loader, making sure
+     * that only one loader is running for any key at a time
+     */
+    _fetch_through: function(key, loader, expires, options, deferred) {
+        var me      = this,
+            loading = me.loading || (me.loading = {}),
+            stale   = false,
+            value, settled, result, finish, success, failure;
+        
+        try {
+            value = me.get(key, { stale: function() { stale = true } });
+        }
+        catch (e) {
+            deferred.reject(e);
+            return;
+        };
+        
+        if ( value !== undefined ) {
+            deferred.resolve(value);
+            
+            if ( !stale ) return;
+            
+            // Stale value is good enough for now, revalidate in background
+            deferred = null;
+        };
+        
+        if ( loading[key] ) {
+            if ( deferred ) loading[key].push(deferred);
+            return;
+        };
+        
+        loading[key] = deferred ? [ deferred ] : [];
+        
+        finish = function(ok, value) {
+            var waiting = loading[key];
+            
+            if ( settled ) return;      // Loader called back twice
+            settled = true;
+            
+            delete loading[key];
+            
+            if ( ok && value !== undefined ) {
+                try {
+                    me.set(key, value, expires, options);
+                }
+                catch (e) {
+                    ok    = false;
+                    value = e;
+                };
+            };
+            
+            for ( var i = 0, l = waiting.length; i < l; i++ ) {
+                waiting[i][ ok ? 'resolve' : 'reject' ](value);
+            };
+        };
+        
+        success = function(value) { finish(true,  value) };
+        failure = function(error) { finish(false, error) };
+        
+        try {
+            result = loader.call(options.scope || me, key, success, failure);
+        }
+        catch (e) {
+            failure(e);
+            return;
+        };
+        
+        if ( result && Ext.isFunction(result.then) ) result.then(success, failure);
+    },
+    
+    /**
+     * @private Calls fn in cache scope for every live item with specified keys;
+     * it is passed the key and thawed item and can return false to stop.
+     * Expired items are skipped, or removed if options.purge is set.
+     */
+    _each_item: function(keys, fn, options) {
+        var me    = this,
+            purge = options && options.purge,
+            now   = +Ext.Date.now();
+        
+        for ( var i = 0, l = keys.length; i < l; i++ ) {
+            var item = me._fetch_value(keys[i]);
+            
+            if ( item === undefined ) continue;
+            
+            if ( item.expires && item.expires < now ) {
+                if ( purge ) me._expire(keys[i], item);
+                
+                continue;
+            };
+            
+            if ( fn.call(me, keys[i], item) === false ) break;
+        };
+    },
+    
+    /**
+     * @private Throws an exception if item cannot be stored
+     */
+    _check_item: function(key, value, expires, options) {
+        var me   = this,
+            tags = Ext.Array.from(options && options.tags),
+            type;
+        
+        options = options || {};
+        
+        if ( !Ext.isString(key) || key === '' )
+            Ext.Error.raise('Cache key must be a non-empty string');
+        
+        if ( key.indexOf(me.self.SEPARATOR) !== -1 )
+            Ext.Error.raise('Cache key cannot contain namespace separator');
+        
+        if ( value === undefined )
+            Ext.Error.raise('Cache value must be defined primitive, object or null');
+        
+        type = me._get_value_type(value);
+        if ( type == 'function' || type == 'element' ||
+             type == 'textnode' || type == 'whitespace' )
+                Ext.Error.raise('Cache cannot store ' + type + ' type values');
+        
+        if ( expires !== undefined && (!Ext.isNumber(expires) && !Ext.isDate(expires)) )
+            Ext.Error.raise('Cache expiration modifier must be a number of milliseconds or Date object');
+        
+        if ( options.sliding && expires === undefined )
+            Ext.Error.raise('Sliding expiration needs expiration modifier');
+        
+        if ( options.staleAfter !== undefined &&
+             !Ext.isNumber(options.staleAfter) && !Ext.isDate(options.staleAfter) )
+            Ext.Error.raise('Cache staleness modifier must be a number of milliseconds or Date object');
+        
+        for ( var i = 0, l = tags.length; i < l; i++ ) {
+            if ( !Ext.isString(tags[i]) || tags[i] === '' )
+                Ext.Error.raise('Cache tags must be non-empty strings');
+        };
+    },
+    
+    /**
+     * @private Stores item without firing events; input is checked already
+     */
+    _put: function(key, value, expires, options) {
+        var me   = this,
+            tags = Ext.Array.from(options && options.tags),
+            exp, item, frozen, now;
+        
+        options = options || {};
+        
+        // Old value is kept if the new one cannot be stored
+        me._atomic(function() {
+            // Ensure there is no value with the same key
+            me._remove(key);
+            
+            exp = Ext.isDate(expires)    ? expires
+                : Ext.isNumeric(expires) ? Ext.Date.add(new Date(), Ext.Date.MILLI, expires)
+                :                          undefined
+                ;
+            
+            item = { value: value, expires: exp };
+            
+            if ( me.version ) item.version = me.version;
+            
+            // Hashed storage key can't be turned back into the key
+            if ( me.encryptKeys ) item.key = key;
+            
+            // Time to live is kept to push expiration time on every read
+            if ( options.sliding ) item.ttl = exp - new Date();
+            
+            if ( options.staleAfter !== undefined ) {
+                item.fresh = Ext.isDate(options.staleAfter)
+                           ? options.staleAfter
+                           : Ext.Date.add(new Date(), Ext.Date.MILLI, options.staleAfter)
+                           ;
+            };
+            
+            // Tag index can be rebuilt from the items if it gets lost
+            if ( tags.length ) item.tags = tags;
+            
+            // Access metadata is only needed to decide what to evict, unless asked for
+            if ( me._tracks_access() ) {
+                now = me._tick();
+                
+                item.created  = now;
+                item.accessed = now;
+                item.hits     = 0;
+            }
+            else if ( me.webStorage ) {
+                // Reads don't write, but eviction on quota errors still needs some order
+                item.created = me._tick();
+            };
+            
+            frozen = me._freeze(item, me._storage_key(key));
+            
+            if ( me._is_bounded() ) me._make_room(key, frozen);
+            
+            me._store(key, frozen);
+            
+            me._tag(key, tags);
+            
+            me.stats.writes++;
+        });
+    },
+    
+    /**
+     * @private Writes raw item to storage, keeping the old one in the journal
+     */
+    _write_item: function(storageKey, frozen) {
+        var me = this;
+        
+        me._journal_item(storageKey);
+        me.storage.setItem(storageKey, frozen);
+    },
+    
+    /**
+     * @private Removes raw item from storage, keeping it in the journal
+     */
+    _erase_item: function(storageKey) {
+        var me = this;
+        
+        me._journal_item(storageKey);
+        me.storage.removeItem(storageKey);
+    },
+    
+    /**
+     * @private Remembers what was in storage under the key before
+     * it was first changed in current atomic operation
+     */
+    _journal_item: function(storageKey) {
+        var me      = this,
+            journal = me.journal,
+            storage = me.storage;
+        
+        if ( !journal ) return;
+        
+        for ( var i = 0, l = journal.length; i < l; i++ ) {
+            if ( journal[i].storage === storage && journal[i].key === storageKey ) return;
+        };
+        
+        journal.push({ storage: storage, key: storageKey, frozen: storage.getItem(storageKey) });
+    },
+    
+    /**
+     * @private Runs fn in cache scope so that either all of its storage changes
+     * are kept, or none: when fn throws, old items are put back and the exception
+     * is rethrown. Nested calls are part of the outer operation.
+     */
+    _atomic: function(fn) {
+        var me = this,
+            journal, result;
+        
+        if ( me.journal ) return fn.call(me);
+        
+        journal = me.journal = [];
+        
+        try {
+            result = fn.call(me);
+        }
+        catch (e) {
+            me.journal = null;
+            me._rollback(journal);
+            
+            throw e;
+        };
+        
+        me.journal = null;
+        
+        return result;
+    },
+    
+    /**
+     * @private Puts back items recorded in the journal
+     */
+    _rollback: function(journal) {
+        var entry;
+        
+        // Backwards, so that the oldest state wins
+        for ( var i = journal.length - 1; i >= 0; i-- ) {
+            entry = journal[i];
+            
+            if ( entry.frozen === null || entry.frozen === undefined ) {
+                entry.storage.removeItem(entry.key);
+            }
+            else {
+                entry.storage.setItem(entry.key, entry.frozen);
+            };
+        };
+    },
+    
+    /**
+     * @private Returns value for the key without touching the item,
+     * or undefined if there is none or it has expired
+     */
+    _peek: function(key) {
+        var me   = this,
+            item = me._fetch_value(key);
+        
+        if ( item === undefined || (item.expires && item.expires < +Ext.Date.now()) ) return;
+        
+        return item.value;
+    },
+    
+    /**
+     * @private Applies transaction changes atomically, firing commit event
+     */
+    _commit: function(changes) {
+        var me   = this,
+            keys = [];
+        
+        me._atomic(function() {
+            for ( var i = 0, l = changes.length; i < l; i++ ) {
+                var change = changes[i];
+                
+                if ( change.removed ) {
+                    if ( !me._may_have(change.key) ) continue;
+                    
+                    me._remove(change.key);
+                }
+                else {
+                    me._put(change.key, change.value, change.expires, change.options);
+                };
+                
+                keys.push(change.key);
+            };
+        });
+        
+        if ( keys.length ) me.fireEvent('commit', me, keys);
+    },
+    
+    /**
+     * @private Returns false if there is certainly no item for the key.
+     * Items of a backend that is not ready yet may be anywhere.
+     */
+    _may_have: function(key) {
+        var me = this;
+        
+        return !me.storage.isReady() || !!me.storage.getItem(me._storage_key(key));
+    },
+    
+    /**
+     * @private Removes item from storage without firing events
+     */
+    _remove: function(key) {
+        var me = this;
+        
+        me._erase_item(me._storage_key(key));
+        me._untag(key);
+    },
+    
+    /**
+     * @private Returns storage key of tag index
+     */
+    _get_tag_index_key: function() {
+        var me = this;
+        
+        return me.keyPrefix + me.self.SEPARATOR + 'tags';
+    },
+    
+    /**
+     * @private Returns tag index: array of [key, tags] pairs for tagged items.
+     * Corrupted index is rebuilt from the items.
+     */
+    _get_tag_index: function() {
+        var me          = this,
+            storage_key = me._get_tag_index_key(),
+            frozen      = me.storage.getItem(storage_key),
+            entries;
+        
+        if ( !frozen ) return [];
+        
+        try {
+            entries = me._thaw(frozen, storage_key);
+        }
+        catch (e) {
+            entries = undefined;
+        };
+        
+        // Memory storage gives out the stored array itself, and it must not
+        // change before the journal gets hold of it
+        return Ext.isArray(entries) ? entries.slice() : me._rebuild_tag_index();
+    },
+    
+    /**
+     * @private Stores tag index
+     */
+    _set_tag_index: function(entries) {
+        var me          = this,
+            storage_key = me._get_tag_index_key();
+        
+        if ( entries.length ) {
+            me._write_item(storage_key, me._freeze(entries, storage_key));
+        }
+        else {
+            me._erase_item(storage_key);
+        };
+    },
+    
+    /**
+     * @private Rebuilds tag index from tags kept in the items
+     */
+    _rebuild_tag_index: function() {
+        var me      = this,
+            keys    = me.keys(),
+            entries = [];
+        
+        for ( var i = 0, l = keys.length; i < l; i++ ) {
+            var item = me._fetch_value(keys[i], true);
+            
+            if ( item && item.tags ) entries.push([ keys[i], item.tags ]);
+        };
+        
+        me._set_tag_index(entries);
+        
+        return entries;
+    },
+    
+    /**
+     * @private Replaces item tags in tag index
+     */
+    _tag: function(key, tags) {
+        var me = this,
+            entries;
+        
+        if ( !tags.length ) return me._untag(key);
+        
+        entries = me._get_tag_index();
+        
+        for ( var i = 0, l = entries.length; i < l; i++ ) {
+            if ( entries[i][0] === key ) {
+                entries.splice(i, 1);
+                break;
+            };
+        };
+        
+        entries.push([ key, tags ]);
+        
+        me._set_tag_index(entries);
+    },
+    
+    /**
+     * @private Removes item from tag index
+     */
+    _untag: function(key) {
+        var me = this,
+            entries;
+        
+        // Don't bother if tags are not used
+        if ( !me.storage.getItem( me._get_tag_index_key() ) ) return;
+        
+        entries = me._get_tag_index();
+        
+        for ( var i = 0, l = entries.length; i < l; i++ ) {
+            if ( entries[i][0] === key ) {
+                entries.splice(i, 1);
+                me._set_tag_index(entries);
+                
+                return;
+            };
+        };
+    },
+    
+    /**
+     * @private Removes expired item from cache, firing expire event
+     */
+    _expire: function(key, item) {
+        var me = this;
+        
+        me._remove(key);
+        
+        me.stats.expirations++;
+        
+        me.fireEvent('expire', me, key, item.value);
+    },
+    
+    /**
+     * @private Evicts item from cache, firing evict event
+     */
+    _evict: function(key) {
+        var me = this,
+            old;
+        
+        if ( me.hasListener('evict') ) old = me._get_old_value(key);
+        
+        me._remove(key);
+        
+        me.stats.evictions++;
+        
+        me.fireEvent('evict', me, key, old);
+    },
+    
+    /**
+     * @private Returns current value for the key to be passed to event listeners,
+     * or undefined if there is no value or it has expired
+     */
+    _get_old_value: function(key) {
+        var me   = this,
+            item = me._fetch_value(key, true);
+        
+        if ( item === undefined || (item.expires && item.expires < +Ext.Date.now()) ) return;
+        
+        return item.value;
+    },
+    
+    /**
+     * @private Handles storage event fired when Web Storage is changed
+     * in another window, and relays it as remotechange event
+     */
+    _on_storage: function(e) {
+        var me    = this,
+            event = e.browserEvent || e,
+            pfx   = me.keyPrefix,
+            key   = event.key,
+            short_key;
+        
+        if ( !me.webStorage || key === undefined ) return;     // IE8 doesn't tell what changed
+        
+        if ( event.storageArea && event.storageArea !== me._get_backend().store ) return;
+        
+        if ( key === null ) {
+            me.fireEvent('remotechange', me, null, undefined, undefined);
+            return;
+        };
+        
+        if ( key.indexOf(pfx) !== 0 ) return;       // Not ours
+        
+        // Namespaces handle their own items
+        if ( key.indexOf(me.self.SEPARATOR, pfx.length) !== -1 ) return;
+        
+        short_key = me.encryptKeys ? me._get_item_key(event.newValue || event.oldValue, key)
+                  :                  key.substr(pfx.length)
+                  ;
+        
+        if ( short_key === undefined ) return;
+        
+        me.fireEvent('remotechange', me, short_key, me._thaw_remote(event.newValue, key),
+                     me._thaw_remote(event.oldValue, key));
+    },
+    
+    /**
+     * @private Returns value of frozen item received from another window,
+     * or undefined if there is none or it has expired
+     */
+    _thaw_remote: function(frozen, storageKey) {
+        var me = this,
+            item;
+        
+        if ( !frozen ) return;
+        
+        // Somebody else's problem
+        try {
+            item = me._thaw(frozen, storageKey);
+        }
+        catch (e) {
+            return;
+        };
+        
+        if ( item === undefined || (item.version || 0) !== me.version ) return;
+        
+        if ( item.expires && item.expires < +Ext.Date.now() ) return;
+        
+        return item.value;
+    },
+    
+    /**
+     * @private Returns storage backend, the one that is full if cache overflows
+     */
+    _get_backend: function() {
+        var me = this;
+        
+        return me.storage instanceof Ext.ux.cache.OverflowStorage ? me.storage.backend : me.storage;
+    },
+    
+    /**
+     * @private Returns storage backend for specified storage type
+     */
+    _create_storage: function(type) {
+        if ( type instanceof Ext.ux.cache.Storage ) return type;
+        
+        switch ( type ) {
+        case 'permanent':
+            if ( Ext.ux.cache.WebStorage.isSupported('localStorage') )
+                return Ext.create('Ext.ux.cache.WebStorage', { store: window.localStorage });
+            break;
+        case 'session':
+            if ( Ext.ux.cache.WebStorage.isSupported('sessionStorage') )
+                return Ext.create('Ext.ux.cache.WebStorage', { store: window.sessionStorage });
+            break;
+        case 'indexeddb':
+            if ( Ext.ux.cache.IndexedDBStorage.isSupported() )
+                return Ext.create('Ext.ux.cache.IndexedDBStorage');
+            break;
+        case 'memory':
+            break;
+        default:
+            Ext.Error.raise({ msg: 'Invalid storage type', storage: type });
+        };
+        
+        return Ext.create('Ext.ux.cache.MemoryStorage');
+    },
+    
+    /**
+     * @private Returns all keys from given Storage object, including keys
+     * in namespaces if deep is true
+     */
+    _get_keys: function(storage, deep) {
+        var me   = this,
+            pfx  = me.keyPrefix,
+            sep  = me.self.SEPARATOR,
+            keys = [];
+        
+        for ( var i = 0, l = storage.getLength(); i < l; i++ ) {
+            var key = storage.key(i);
+            
+            // Prefix must match from the start, or 'App.' would match 'MyApp.' keys
+            if ( key.indexOf(pfx) !== 0 ) continue;
+            
+            var short_key = key.substr(pfx.length);
+            
+            // Namespace items are not ours unless asked for
+            if ( !deep && short_key.indexOf(sep) !== -1 ) continue;
+            
+            keys.push(short_key);
+        };
+        
+        return keys;
+    },
+    
+    /**
+     * @private Returns storage key for cache key
+     */
+    _storage_key: function(key) {
+        var me = this;
+        
+        if ( me.encryptKeys && me.storage.serialized ) key = me.cipher.hash(key);
+        
+        return me.keyPrefix + key;
+    },
+    
+    /**
+     * @private Returns cache key kept in frozen item, or undefined.
+     * Corrupted items are skipped, since there's no value to return anyway.
+     */
+    _get_item_key: function(frozen, storageKey) {
+        var me = this,
+            item;
+        
+        if ( !frozen ) return;
+        
+        try {
+            item = me._thaw(frozen, storageKey);
+        }
+        catch (e) {
+            me._on_corrupt(null, storageKey, e, true);
+            return;
+        };
+        
+        return item && item.key;
+    },
+    
+    /**
+     * @private Returns cache keys for hashed keys
+     */
+    _unhash_keys: function(hashes) {
+        var me   = this,
+            keys = [];
+        
+        for ( var i = 0, l = hashes.length; i < l; i++ ) {
+            var storage_key = me.keyPrefix + hashes[i],
+                key         = me._get_item_key(me.storage.getItem(storage_key), storage_key);
+            
+            if ( key !== undefined ) keys.push(key);
+        };
+        
+        return keys;
+    },
+    
+    /**
+     * @private Returns true if cache size is limited
+     */
+    _is_bounded: function() {
+        var me = this;
+        
+        return !!(me.maxItems || me.maxBytes);
+    },
+    
+    /**
+     * @private Returns true if access metadata is kept for items
+     */
+    _tracks_access: function() {
+        var me = this;
+        
+        return !!(me.trackAccess || me._is_bounded());
+    },
+    
+    /**
+     * @private Returns current timestamp, guaranteed to be unique within
+     * this instance so that items touched in the same millisecond are still ordered
+     */
+    _tick: function() {
+        var me  = this,
+            now = +Ext.Date.now();
+        
+        if ( me.lastTick && now <= me.lastTick ) now = me.lastTick + 1;
+        
+        return me.lastTick = now;
+    },
+    
+    /**
+     * @private Returns approximate number of bytes taken by frozen item.
+     * Web Storage keeps strings in UTF-16, two bytes per character.
+     */
+    _get_item_size: function(key, frozen) {
+        var me = this;
+        
+        return me._get_raw_size(me._storage_key(key), frozen);
+    },
+    
+    /**
+     * @private Returns approximate number of bytes taken by frozen item
+     * under specified storage key
+     */
+    _get_raw_size: function(storageKey, frozen) {
+        var me = this;
+        
+        // Memory storage keeps values as is, so we measure what they would take
+        if ( !Ext.isString(frozen) ) frozen = me._encode(frozen);
+        
+        return (storageKey.length + frozen.length) * 2;
+    },
+    
+    /**
+     * @private Returns comparator function for specified eviction policy
+     */
+    _get_eviction_comparator: function(policy) {
+        if ( Ext.isFunction(policy) ) return policy;
+        
+        switch ( policy ) {
+        case 'lru':
+            return function(a, b) { return a.accessed - b.accessed };
+        case 'lfu':
+            return function(a, b) { return (a.hits - b.hits) || (a.accessed - b.accessed) };
+        case 'fifo':
+            return function(a, b) { return a.created - b.created };
+        case 'expires':
+            return function(a, b) {
+                // Items that never expire go last
+                if ( a.expires === b.expires ) return a.created - b.created;
+                if ( a.expires === undefined ) return 1;
+                if ( b.expires === undefined ) return -1;
+                
+                return a.expires - b.expires;
+            };
+        default:
+            Ext.Error.raise({ msg: 'Invalid eviction policy', policy: policy });
+        };
+    },
+    
+    /**
+     * @private Returns descriptors for all items in cache, each descriptor
+     * is an object with key, size, expires, created, accessed and hits properties.
+     * Items that were stored without access metadata are considered the oldest.
+     */
+    _get_entries: function() {
+        var me      = this,
+            keys    = me.keys(),
+            entries = [];
+        
+        for ( var i = 0, l = keys.length; i < l; i++ ) {
+            var key         = keys[i],
+                storage_key = me._storage_key(key),
+                frozen      = me.storage.getItem(storage_key),
+                item;
+            
+            if ( !frozen ) continue;
+            
+            try {
+                item = me._thaw(frozen, storage_key);
+            }
+            catch (e) {
+                item = undefined;
+            };
+            
+            // Items we can't read are of no use to us, so they go first
+            item = item || { expires: new Date(0) };
+            
+            entries.push({
+                key:      key,
+                size:     me._get_item_size(key, frozen),
+                expires:  item.expires ? +item.expires : undefined,
+                created:  item.created  || 0,
+                accessed: item.accessed || item.created || 0,
+                hits:     item.hits     || 0
+            });
+        };
+        
+        return entries;
+    },
+    
+    /**
+     * @private Sorts item descriptors in eviction order
+     */
+    _sort_entries: function(entries) {
+        var me  = this,
+            now = +Ext.Date.now(),
+            cmp = me.evictionComparator;
+        
+        // Expired items go first no matter what the policy says
+        return entries.sort(function(a, b) {
+            var a_expired = a.expires !== undefined && a.expires < now,
+                b_expired = b.expires !== undefined && b.expires < now;
+            
+            if ( a_expired !== b_expired ) return a_expired ? -1 : 1;
+            
+            return cmp(a, b);
+        });
+    },
+    
+    /**
+     * @private Evicts items according to eviction policy until there is
+     * enough room for the new item
+     */
+    _make_room: function(key, frozen) {
+        var me    = this,
+            size  = me._get_item_size(key, frozen),
+            count, bytes, entries, entry;
+        
+        if ( me.maxBytes && size > me.maxBytes )
+            Ext.Error.raise({ msg: 'Cache item is larger than maxBytes', key: key, size: size });
+        
+        entries = me._sort_entries( me._get_entries() );
+        count   = entries.length;
+        bytes   = 0;
+        
+        for ( var i = 0; i < count; i++ ) {
+            bytes += entries[i].size;
+        };
+        
+        while ( entries.length && ((me.maxItems && count + 1 > me.maxItems) ||
+                                   (me.maxBytes && bytes + size > me.maxBytes)) )
+        {
+            entry = entries.shift();
+            
+            me._evict(entry.key);
+            
+            count--;
+            bytes -= entry.size;
+        };
+    },
+    
+    /**
+     * @private Returns true if exception was thrown because storage is full
+     */
+    _is_quota_error: function(e) {
+        return Ext.ux.cache.Storage.isQuotaError(e);
+    },
+    
+    /**
+     * @private Tries to write frozen item to storage, returns false
+     * if storage is full
+     */
+    _try_store: function(key, frozen) {
         var me = this;
-
-        return me._fetch_value(key) !== undefined;
+        
+        try {
+            me._write_item(me._storage_key(key), frozen);
+        }
+        catch (e) {
+            if ( me._is_quota_error(e) ) return false;
+            
+            throw e;
+        };
+        
+        return true;
     },
     
     /**
-     * keys
-     *
-     * Returns the list of keys in cache.
-     *
-     * @return {String[]} Array of keys
+     * @private Writes frozen item to storage. When storage is full, purges
+     * expired items, then evicts other items by policy until the new one fits.
+     * If that doesn't help, keeps the item in memory, and so are the items
+     * that don't fit later on.
      */
-    keys: function() {
+    _store: function(key, frozen) {
         var me = this,
-            keys;
+            entries, full, root;
         
-        // Key soup
-        keys = me._get_keys(me.storage) || [];
+        if ( me._try_store(key, frozen) ) return;
         
-        return keys;
+        me.fireEvent('quotaexceeded', me, key);
+        
+        me.purgeExpired();
+        
+        if ( me._try_store(key, frozen) ) return;
+        
+        entries = me._sort_entries( me._get_entries() );
+        
+        // No use evicting anything if the rest of Web Storage is taken by somebody else
+        if ( me._could_fit(key, frozen, entries) ) {
+            while ( entries.length ) {
+                me._evict( entries.shift().key );
+                
+                if ( me._try_store(key, frozen) ) return;
+            };
+        };
+        
+        full = me.storage;
+        root = me;
+        
+        // Parent and sibling namespaces have to see the items kept in memory
+        while ( root.parent && root.parent.storage === full ) root = root.parent;
+        
+        root._overflow( full, Ext.create('Ext.ux.cache.OverflowStorage', { backend: full }) );
+        
+        me._write_item(me._storage_key(key), frozen);
     },
     
     /**
-     * remove
-     *
-     * Removes an item with specified key from the cache.
-     *
-     * @param {String} key The key to remove from cache.
+     * @private Returns true if the item would fit in storage with all
+     * other items evicted. Storage is left as it was.
      */
-    remove: function(key) {
-        var me = this;
-
-        me.storage.removeItem(me.keyPrefix + key);
+    _could_fit: function(key, frozen, entries) {
+        var me      = this,
+            outer   = me.journal,
+            journal = me.journal = [];
+        
+        try {
+            for ( var i = 0, l = entries.length; i < l; i++ ) {
+                me._erase_item( me._storage_key(entries[i].key) );
+            };
+            
+            return me._try_store(key, frozen);
+        }
+        finally {
+            me.journal = outer;
+            me._rollback(journal);
+        };
     },
     
     /**
-     * clear
-     *
-     * Removes all items from cache
+     * @private Switches cache and its namespaces that share the full storage
+     * to overflow storage
      */
-    clear: function() {
-        var me = this,
-            keys;
-            
-        if ( !me.webStorage ) {
-            me.storage.clear();     // Memory storage is never shared
-            return;
-        };
+    _overflow: function(full, storage) {
+        var me = this;
         
-        keys = me.keys();
+        if ( me.storage !== full ) return;
         
-        for ( var i = 0, l = keys.length; i < l; i++ ) {
-            me.remove( keys[i] );
-        };
+        me.storage = storage;
+        
+        Ext.Object.each(me.namespaces || {}, function(name, namespace) {
+            namespace._overflow(full, storage);
+        });
     },
     
     /**
-     * @private Returns all keys from given Storage object
+     * @private Registers types that are supported out of the box
      */
-    _get_keys: function(storage) {
-        var me   = this,
-            pfx  = me.keyPrefix,
-            keys = [];
+    _register_builtin_types: function() {
+        var me = this,
+            typedArrays;
+        
+        me.registerType('regexp', {
+            test: function(value) {
+                return Ext.typeOf(value) === 'regexp';
+            },
+            serialize: function(value) {
+                var flags = value.flags;
+                
+                // Older browsers do not have flags property
+                if ( flags === undefined )
+                    flags = (value.global     ? 'g' : '') +
+                            (value.ignoreCase ? 'i' : '') +
+                            (value.multiline  ? 'm' : '');
+                
+                return { source: value.source, flags: flags };
+            },
+            deserialize: function(data) {
+                return new RegExp(data.source, data.flags);
+            }
+        });
         
-        for ( var i = 0, l = storage.length; i < l; i++ ) {
-            var key = storage.key(i),
-                idx;
+        typedArrays = ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array',
+                       'Uint16Array', 'Int32Array', 'Uint32Array', 'Float32Array',
+                       'Float64Array'];
+        
+        Ext.each(typedArrays, function(name) {
+            var ctor = window[name];
             
-            // Ugh. All this stupidity just because regexen suck in JavaScript :/
-            idx = key.indexOf(pfx);
+            if ( !ctor ) return;
             
-            if ( idx != -1 ) {
-                var short_key = key.substr(idx + pfx.length);
-                keys.push(short_key);
-            };
+            me.registerType(name, {
+                test: function(value) {
+                    return value instanceof ctor;
+                },
+                serialize: function(value) {
+                    return Array.prototype.slice.call(value);
+                },
+                deserialize: function(data) {
+                    return new ctor(data);
+                }
+            });
+        });
+        
+        if ( window.ArrayBuffer && window.Uint8Array ) {
+            me.registerType('ArrayBuffer', {
+                test: function(value) {
+                    return value instanceof ArrayBuffer;
+                },
+                serialize: function(value) {
+                    return Array.prototype.slice.call( new Uint8Array(value) );
+                },
+                deserialize: function(data) {
+                    return new Uint8Array(data).buffer;
+                }
+            });
         };
         
-        return keys;
+        if ( window.Map ) {
+            me.registerType('map', {
+                test: function(value) {
+                    return value instanceof Map;
+                },
+                serialize: function(value) {
+                    var entries = [];
+                    
+                    value.forEach(function(v, k) { entries.push([k, v]) });
+                    
+                    return entries;
+                },
+                deserialize: function(data) {
+                    var map = new Map();
+                    
+                    for ( var i = 0, l = data.length; i < l; i++ ) {
+                        map.set(data[i][0], data[i][1]);
+                    };
+                    
+                    return map;
+                }
+            });
+        };
+        
+        if ( window.Set ) {
+            me.registerType('set', {
+                test: function(value) {
+                    return value instanceof Set;
+                },
+                serialize: function(value) {
+                    var values = [];
+                    
+                    value.forEach(function(v) { values.push(v) });
+                    
+                    return values;
+                },
+                deserialize: function(data) {
+                    var set = new Set();
+                    
+                    for ( var i = 0, l = data.length; i < l; i++ ) {
+                        set.add(data[i]);
+                    };
+                    
+                    return set;
+                }
+            });
+        };
+        
+        // Ext.data is not a part of Ext Core, so it may not be loaded
+        me.registerType('model', {
+            test: function(value) {
+                var Model = Ext.ClassManager.get('Ext.data.Model');
+                
+                return !!Model && value instanceof Model;
+            },
+            serialize: function(value) {
+                return {
+                    className: Ext.getClassName(value),
+                    id:        value.getId(),
+                    data:      value.data
+                };
+            },
+            deserialize: function(data) {
+                return Ext.create(data.className, data.data, data.id);
+            }
+        });
     },
     
     /**
      * @private Returns value type
      */
     _get_value_type: function(value) {
+        var me    = this,
+            names = me.customTypeNames;
+        
+        // Custom types are all objects of some kind
+        if ( value !== null && (typeof value === 'object' || typeof value === 'function') ) {
+            for ( var i = 0, l = names.length; i < l; i++ ) {
+                var type = me.customTypes[ names[i] ];
+                
+                if ( type.test.call(type.scope || me, value) ) return names[i];
+            };
+        };
+        
         return Ext.typeOf(value);
     },
     
@@ -336,14 +2545,14 @@ Ext.define('Ext.ux.Cache', {
     /**
      * @private Serializes array of values
      */
-    _serialize_array: function(array) {
+    _serialize_array: function(array, refs) {
         var me = this,
             result = [];
         
         for ( var i = 0, l = array.length; i < l; i++ ) {
             var item = array[i];
             
-            result.push( me._serialize_value( me._get_value_type(item), item ) );
+            result.push( me._serialize_value( me._get_value_type(item), item, refs ) );
         };
         
         return { 'type': 'array', 'value': result };
@@ -352,7 +2561,7 @@ Ext.define('Ext.ux.Cache', {
     /**
      * @private Serializes object (hash)
      */
-    _serialize_object: function(object) {
+    _serialize_object: function(object, refs) {
         var me = this,
             result = {};
         
@@ -361,16 +2570,99 @@ Ext.define('Ext.ux.Cache', {
             
             var item = object[i];
             
-            result[i] = me._serialize_value( me._get_value_type(item), item );
+            result[i] = me._serialize_value( me._get_value_type(item), item, refs );
         };
         
         return { 'type': 'object', 'value': result };
     },
     
+    /**
+     * @private Serializes value of custom type
+     */
+    _serialize_custom: function(name, value, refs) {
+        var me   = this,
+            type = me.customTypes[name],
+            data = type.serialize.call(type.scope || me, value);
+        
+        return { 'type': name, 'value': me._serialize_value( me._get_value_type(data), data, refs ) };
+    },
+    
+    /**
+     * @private Returns an object to keep track of Objects and Arrays already seen
+     * while serializing a value. Each one gets an index in the order they are seen,
+     * deserializer restores them in the same order so it knows indexes as well.
+     */
+    _create_refs: function(compact) {
+        return {
+            map:  window.Map ? new Map() : null,   // Way faster than searching the list
+            list:    [],
+            open:    [],                            // True while serializing children
+            custom:  [],                            // True for custom type values
+            compact: !!compact                      // Which format to serialize to
+        };
+    },
+    
+    /**
+     * @private Returns index of already seen value, or -1
+     */
+    _find_ref: function(refs, value) {
+        if ( refs.map ) return refs.map.has(value) ? refs.map.get(value) : -1;
+        
+        return Ext.Array.indexOf(refs.list, value);
+    },
+    
     /**
      * @private Serializes value of specified type into storage format
      */
-    _serialize_value: function(type, value) {
+    _serialize_value: function(type, value, refs) {
+        var me = this,
+            idx, result;
+        
+        // Objects, Arrays and custom type values can be referenced more than once
+        if ( type === 'object' || type === 'array' || me.customTypes[type] ) {
+            idx = me._find_ref(refs, value);
+            
+            if ( idx !== -1 ) {
+                if ( refs.open[idx] ) {
+                    if ( !me.allowCircular )
+                        Ext.Error.raise('Cache cannot store values with circular references');
+                    
+                    // Custom type values are created after their data is restored
+                    if ( refs.custom[idx] )
+                        Ext.Error.raise('Cache cannot store circular references through ' +
+                                        'custom type values');
+                };
+                
+                return refs.compact ? { '$t': 'ref', 'v': idx } : { 'type': 'ref', 'value': idx };
+            };
+            
+            idx = refs.list.length;
+            
+            refs.list.push(value);
+            if ( refs.map ) refs.map.set(value, idx);
+            
+            refs.open[idx]   = true;
+            refs.custom[idx] = !!me.customTypes[type];
+            
+            result = refs.compact ? me._pack_value_of_type(type, value, refs)
+                   :                me._serialize_value_of_type(type, value, refs)
+                   ;
+            
+            refs.open[idx] = false;
+            
+            return result;
+        };
+        
+        return refs.compact ? me._pack_value_of_type(type, value, refs)
+             :                me._serialize_value_of_type(type, value, refs)
+             ;
+    },
+    
+    /**
+     * @private Serializes value of specified type into storage format,
+     * without looking for references
+     */
+    _serialize_value_of_type: function(type, value, refs) {
         var me = this;
         
         switch ( type ) {
@@ -380,25 +2672,150 @@ Ext.define('Ext.ux.Cache', {
         case 'number':      return me._serialize_number(value);
         case 'boolean':     return me._serialize_boolean(value);
         case 'date':        return me._serialize_date(value);
-        case 'object':      return me._serialize_object(value);
-        case 'array':       return me._serialize_array(value);
+        case 'object':      return me._serialize_object(value, refs);
+        case 'array':       return me._serialize_array(value, refs);
         default:
+            if ( me.customTypes[type] ) return me._serialize_custom(type, value, refs);
+            
             Ext.Error.raise({ msg: 'Invalid value type', type: type });
         };
     },
     
     /**
-     * @private Serializes a value in depth into storage format and then to string
+     * @private Packs value of specified type into compact format
      */
-    _freeze: function(value) {
+    _pack_value_of_type: function(type, value, refs) {
         var me = this,
+            result, data, item;
+        
+        switch ( type ) {
+        case 'null':
+        case 'string':
+        case 'boolean':
+            return value;
+        
+        case 'undefined':
+            return { '$t': 'undefined' };
+        
+        case 'number':
+            return isFinite(value) ? value : { '$t': 'number', 'v': value+'' };
+        
+        case 'date':
+            return { '$t': 'date', 'v': value-0 };
+        
+        case 'array':
+            result = [];
+            
+            for ( var i = 0, l = value.length; i < l; i++ ) {
+                item = value[i];
+                
+                result.push( me._serialize_value(me._get_value_type(item), item, refs) );
+            };
+            
+            return result;
+        
+        case 'object':
+            result = {};
+            
+            for ( var j in value ) {
+                if ( !value.hasOwnProperty(j) ) continue;
+                
+                item = value[j];
+                
+                result[j] = me._serialize_value(me._get_value_type(item), item, refs);
+            };
+            
+            // Objects that look like tagged values need a tag of their own
+            return result.hasOwnProperty('$t') ? { '$t': 'object', 'v': result } : result;
+        
+        default:
+            if ( !me.customTypes[type] )
+                Ext.Error.raise({ msg: 'Invalid value type', type: type });
+            
+            data = me.customTypes[type].serialize.call(me.customTypes[type].scope || me, value);
+            
+            return { '$t': type, 'v': me._serialize_value(me._get_value_type(data), data, refs) };
+        };
+    },
+    
+    /**
+     * @private Serializes a value in depth into storage format, then to JSON string
+     */
+    _encode: function(value) {
+        var me      = this,
+            compact = me.compact,
             result;
+        
+        result = me._serialize_value( me._get_value_type(value), value, me._create_refs(compact) );
+        
+        if ( compact ) {
+            result = Ext.JSON.encode({ format: me.self.FORMAT_COMPACT, value: result });
+        }
+        else {
+            result.format = me.self.FORMAT_TREE;
+            result        = Ext.JSON.encode(result);
+        };
+        
+        // Checksum goes last so that it can be checked before decoding
+        return result.substr(0, result.length - 1) + ',"checksum":' + me._checksum(result) + '}';
+    },
+    
+    /**
+     * @private Returns FNV-1a hash of a string, as unsigned 32 bit number
+     */
+    _checksum: function(string) {
+        var hash = 0x811c9dc5;
+        
+        for ( var i = 0, l = string.length; i < l; i++ ) {
+            hash ^= string.charCodeAt(i);
+            
+            // Multiply by 16777619 without losing precision
+            hash += (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) + (hash << 24);
+        };
+        
+        return hash >>> 0;
+    },
+    
+    /**
+     * @private Checks and strips checksum of encoded item.
+     * Items stored before checksums were introduced are passed as is.
+     */
+    _verify_checksum: function(string) {
+        var match = /,"checksum":(\d+)\}$/.exec(string),
+            data;
+        
+        if ( !match ) return string;
+        
+        data = string.substr(0, match.index) + '}';
+        
+        if ( +match[1] !== this._checksum(data) )
+            Ext.Error.raise('Cache item checksum mismatch');
+        
+        return data;
+    },
+    
+    /**
+     * @private Serializes a value in depth into storage format and then to string,
+     * compressing and encrypting it if needed. Encrypted value is bound
+     * to storage key, so it cannot be moved to another key.
+     */
+    _freeze: function(value, storageKey) {
+        var me = this,
+            result, compressed;
+            
+        if ( !me.storage.serialized ) return value;     // Always fresh from the memory garden.
+        
+        result = me._encode(value);
+        
+        if ( me.compress ) {
+            compressed = me.self.COMPRESSED + Ext.ux.cache.Compressor.compress(result);
             
-        if ( !me.webStorage ) return value;     // Always fresh from the memory garden.
+            if ( compressed.length < result.length ) result = compressed;
+        };
         
-        result = me._serialize_value( me._get_value_type(value), value);
+        if ( me.cipher ) result = me.self.ENCRYPTED + me.cipher.encrypt(result, storageKey);
         
-        return Ext.JSON.encode(result);
+        return result;
     },
     
     /**
@@ -460,10 +2877,12 @@ Ext.define('Ext.ux.Cache', {
     /**
      * @private Deserializes an array
      */
-    _deserialize_array: function(value) {
+    _deserialize_array: function(value, refs) {
         var me     = this,
             result = [];
         
+        refs.push(result);
+        
         for ( var i = 0, l = value.length; i < l; i++ ) {
             var item       = value[i],
                 item_type  = item['type'],     // Next level deep
@@ -471,7 +2890,7 @@ Ext.define('Ext.ux.Cache', {
             
             if ( !me._check_serialized(item) ) return;      // Pure formality
             
-            result.push( me._deserialize_value(item_type, item_value) );
+            result.push( me._deserialize_value(item_type, item_value, refs) );
         };
         
         return result;
@@ -480,10 +2899,12 @@ Ext.define('Ext.ux.Cache', {
     /**
      * @private Deserializes an object
      */
-    _deserialize_object: function(value) {
+    _deserialize_object: function(value, refs) {
         var me     = this,
             result = {};
         
+        refs.push(result);
+        
         for ( var i in value ) {
             var item       = value[i],
                 item_type  = item['type'],     // Next level deep
@@ -491,16 +2912,45 @@ Ext.define('Ext.ux.Cache', {
             
             if ( !me._check_serialized(item) ) return;      // Will go boom
             
-            result[i] = me._deserialize_value(item_type, item_value);
+            result[i] = me._deserialize_value(item_type, item_value, refs);
         };
         
         return result;
     },
     
+    /**
+     * @private Deserializes value of custom type
+     */
+    _deserialize_custom: function(name, value, refs) {
+        var me   = this,
+            type = me.customTypes[name],
+            idx  = refs.length,
+            result;
+        
+        if ( !me._check_serialized(value) ) return;
+        
+        // Keep the place, the value can only be created when its data is restored
+        refs.push(undefined);
+        
+        result = type.deserialize.call(type.scope || me, me._deserialize_value(value.type, value.value, refs));
+        
+        return refs[idx] = result;
+    },
+    
+    /**
+     * @private Deserializes a reference to already restored Object or Array
+     */
+    _deserialize_ref: function(value, refs) {
+        if ( !(value >= 0 && value < refs.length) )
+            Ext.Error.raise({ msg: 'Invalid serialized reference', value: value });
+        
+        return refs[value];
+    },
+    
     /**
      * @private Deserializes string value to specified type
      */
-    _deserialize_value: function(type, value) {
+    _deserialize_value: function(type, value, refs) {
         var me = this,
             functionTable = me.functionTable,
             fn;
@@ -508,7 +2958,7 @@ Ext.define('Ext.ux.Cache', {
         fn = functionTable[type];
 
         if ( fn ) {
-            return fn.call(me, value);
+            return fn.call(me, value, refs);
         }
         else {
             Ext.Error.raise({ msg: 'Invalid serialized value type', type: type });
@@ -516,28 +2966,184 @@ Ext.define('Ext.ux.Cache', {
     },
     
     /**
-     * @private Deserializes deeply frozen structure and returns native data types
+     * @private Unpacks value from compact format
      */
-    _thaw: function(value) {
+    _unpack_value: function(value, refs) {
         var me = this,
+            result, tag;
+        
+        if ( value === null || typeof value !== 'object' ) return value;
+        
+        if ( Ext.isArray(value) ) {
+            result = [];
+            refs.push(result);
+            
+            for ( var i = 0, l = value.length; i < l; i++ ) {
+                result.push( me._unpack_value(value[i], refs) );
+            };
+            
+            return result;
+        };
+        
+        if ( !value.hasOwnProperty('$t') ) return me._unpack_object(value, refs);
+        
+        tag = value['$t'];
+        
+        switch ( tag ) {
+        case 'undefined':   return undefined;
+        case 'number':      return me._deserialize_number(value['v']);
+        case 'date':        return me._deserialize_date(value['v']);
+        case 'ref':         return me._deserialize_ref(value['v'], refs);
+        case 'object':      return me._unpack_object(value['v'], refs);
+        default:
+            if ( me.customTypes[tag] ) return me._unpack_custom(tag, value['v'], refs);
+            
+            Ext.Error.raise({ msg: 'Invalid serialized value type', type: tag });
+        };
+    },
+    
+    /**
+     * @private Unpacks an object from compact format
+     */
+    _unpack_object: function(value, refs) {
+        var me     = this,
+            result = {};
+        
+        refs.push(result);
+        
+        for ( var i in value ) {
+            if ( !value.hasOwnProperty(i) ) continue;
+            
+            result[i] = me._unpack_value(value[i], refs);
+        };
+        
+        return result;
+    },
+    
+    /**
+     * @private Unpacks value of custom type from compact format
+     */
+    _unpack_custom: function(name, value, refs) {
+        var me   = this,
+            type = me.customTypes[name],
+            idx  = refs.length;
+        
+        // Keep the place, the value can only be created when its data is restored
+        refs.push(undefined);
+        
+        return refs[idx] = type.deserialize.call(type.scope || me, me._unpack_value(value, refs));
+    },
+    
+    /**
+     * @private Deserializes deeply frozen structure and returns native data types,
+     * or undefined if it was frozen in a format we don't know of
+     */
+    _thaw: function(value, storageKey) {
+        var me      = this,
+            statics = me.self,
             thawed;
         
-        if ( !me.webStorage ) return value;     // Already fresh!
+        if ( !me.storage.serialized ) return value;     // Already fresh!
+        
+        if ( value.indexOf(statics.ENCRYPTED) === 0 ) {
+            if ( !me.cipher ) Ext.Error.raise('Cannot decrypt cache item without encryption key');
+            
+            value = me.cipher.decrypt(value.substr(statics.ENCRYPTED.length), storageKey);
+        }
+        else if ( me.cipher ) {
+            Ext.Error.raise('Cache item is not encrypted');
+        };
+        
+        if ( value.indexOf(statics.COMPRESSED) === 0 )
+            value = Ext.ux.cache.Compressor.decompress( value.substr(statics.COMPRESSED.length) );
         
-        thawed = Ext.JSON.decode(value);
+        thawed = Ext.JSON.decode( me._verify_checksum(value) );
         
-        return me._deserialize_value( thawed['type'], thawed['value'] );
+        if ( !Ext.isObject(thawed) ) Ext.Error.raise({ msg: 'Invalid serialized value', value: thawed });
+        
+        switch ( thawed['format'] || 0 ) {
+        case 0:
+        case statics.FORMAT_TREE:
+            return me._deserialize_value( thawed['type'], thawed['value'], [] );
+        case statics.FORMAT_COMPACT:
+            return me._unpack_value( thawed['value'], [] );
+        };
     },
     
     /**
-     * @private Returns deserialized value from cache
+     * @private Upgrades item stored with older data version and stores it back.
+     * Returns undefined if migrate function discarded the item.
      */
-    _fetch_value: function(key) {
-        var me = this,
-            value;
+    _migrate: function(key, item) {
+        var me    = this,
+            value = me.migrate(item.version || 0, item.value);
+        
+        if ( value === undefined ) return;
+        
+        item.value   = value;
+        item.version = me.version;
+        
+        me._store(key, me._freeze(item, me._storage_key(key)));
+        
+        return item;
+    },
+    
+    /**
+     * @private Fires corrupt event and applies onCorrupt policy. Exception
+     * is not rethrown when safe is true, for maintenance operations.
+     */
+    _on_corrupt: function(key, storageKey, error, safe) {
+        var me = this;
+        
+        me.fireEvent('corrupt', me, key, error);
+        
+        switch ( me.onCorrupt ) {
+        case 'remove':
+            me._erase_item(storageKey);
+            break;
+        case 'ignore':
+            break;
+        default:
+            if ( !safe ) throw error;
+        };
+    },
+    
+    /**
+     * @private Returns deserialized value from cache. Items discarded by migrate
+     * function are removed; items in unknown format and items with another data
+     * version that cannot be upgraded are treated as missing. Corrupted items are
+     * handled according to onCorrupt policy, or treated as missing if safe is true.
+     */
+    _fetch_value: function(key, safe) {
+        var me          = this,
+            storage_key = me._storage_key(key),
+            value, item;
 
-        value = me.storage.getItem(me.keyPrefix + key);
+        value = me.storage.getItem(storage_key);
+        
+        if ( !value ) return;
+        
+        try {
+            item = me._thaw(value, storage_key);
+        }
+        catch (e) {
+            me._on_corrupt(key, storage_key, e, safe);
+            return;
+        };
+        
+        // We can't possibly know what newer formats and versions look like,
+        // but somebody else does; an older tab must not wipe out items of a newer one
+        if ( item === undefined ) return;
+        
+        if ( (item.version || 0) !== me.version ) {
+            if ( item.version > me.version || !me.migrate ) return;
+            
+            item = me._migrate(key, item);
+            
+            // Discarded by migrate function
+            if ( item === undefined ) me._remove(key);
+        };
         
-        return value ? me._thaw(value) : undefined;
+        return item;
     }
 });
@@ -0,0 +1,612 @@
+/*
+ * AES-GCM cipher for Ext.ux.Cache. Web Crypto API is asynchronous and cannot
+ * be used by synchronous cache methods, so this is a pure JavaScript
+ * implementation; its output is compatible with Web Crypto AES-GCM,
+ * with 96 bit IV and 128 bit authentication tag.
+ *
+ * Copyright (c) 2011-2012 Alexander Tokarev.
+ *
+ * This code is licensed under the terms of the Open Source LGPL 3.0 license.
+ * Commercial use is permitted to the extent that the code/component(s) do NOT
+ * become part of another Open Source or Commercially licensed development library
+ * or toolkit without explicit permission.
+ *
+ * License details: http://www.gnu.org/licenses/lgpl.html
+ * Github repo: https://github.com/nohuhu/Ext.ux.Cache
+ */
+
+Ext.define('Ext.ux.cache.Cipher', {
+    statics: {
+        /**
+         * @private Returns AES S-box, computing it on first call
+         */
+        getSBox: function() {
+            var me = this,
+                exp, log, sbox, inv, s;
+            
+            if ( me.sbox ) return me.sbox;
+            
+            exp  = [];
+            log  = [];
+            sbox = [];
+            
+            // Powers of 3 go through all non-zero elements of GF(2^8)
+            for ( var i = 0, x = 1; i < 255; i++ ) {
+                exp[i] = x;
+                log[x] = i;
+                x     ^= me.xtime(x);
+            };
+            
+            for ( i = 0; i < 256; i++ ) {
+                inv = i ? exp[ (255 - log[i]) % 255 ] : 0;
+                
+                s = inv ^ (inv << 1) ^ (inv << 2) ^ (inv << 3) ^ (inv << 4);
+                s = (s ^ (s >> 8)) & 0xff;
+                
+                sbox[i] = s ^ 0x63;
+            };
+            
+            return me.sbox = sbox;
+        },
+        
+        /**
+         * @private Multiplies a byte by 2 in GF(2^8)
+         */
+        xtime: function(x) {
+            return ((x << 1) ^ (x & 0x80 ? 0x1b : 0)) & 0xff;
+        }
+    },
+    
+    // Base64 alphabet
+    BASE64: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',
+    
+    /**
+     * @constructor
+     *
+     * @param {Object} config
+     * @param {String/Array/Uint8Array/ArrayBuffer} .key AES key, 16, 24 or 32 bytes
+     *      long, as an array of bytes or hex string
+     */
+    constructor: function(config) {
+        var me    = this,
+            bytes = me._get_key_bytes(config && config.key);
+        
+        if ( bytes.length !== 16 && bytes.length !== 24 && bytes.length !== 32 )
+            Ext.Error.raise('Encryption key must be 16, 24 or 32 bytes long');
+        
+        me.sbox      = me.self.getSBox();
+        me.roundKeys = me._expand_key(bytes);
+        
+        // Subkeys for authentication; don't use the same key for two purposes
+        me.macKeys = me._expand_key(
+            me._encrypt_block([ 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ])
+                .concat( me._encrypt_block([ 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ]) )
+                .slice(0, bytes.length)
+        );
+    },
+    
+    /**
+     * encrypt
+     *
+     * Encrypts a string.
+     *
+     * @param {String} text
+     * @param {String} data (optional) Additional data that is not encrypted
+     *      but has to be the same for decryption to succeed
+     *
+     * @return {String} Base64 encoded IV, ciphertext and authentication tag
+     */
+    encrypt: function(text, data) {
+        var me    = this,
+            iv    = me._random_bytes(12),
+            plain = me._utf8_encode(text),
+            crypt = me._ctr(iv, plain);
+        
+        return me._base64_encode( iv.concat(crypt, me._tag(iv, me._utf8_encode(data || ''), crypt)) );
+    },
+    
+    /**
+     * decrypt
+     *
+     * Decrypts a string produced by encrypt(). Throws an exception if the string
+     * was changed after encryption, or additional data does not match.
+     *
+     * @param {String} text Base64 encoded IV, ciphertext and authentication tag
+     * @param {String} data (optional) Additional data passed to encrypt()
+     *
+     * @return {String} Decrypted string
+     */
+    decrypt: function(text, data) {
+        var me    = this,
+            bytes = me._base64_decode(text),
+            iv, crypt, tag, expected;
+        
+        if ( !bytes || bytes.length < 28 )
+            Ext.Error.raise('Encrypted data is corrupted or was tampered with');
+        
+        iv       = bytes.slice(0, 12);
+        crypt    = bytes.slice(12, bytes.length - 16);
+        tag      = bytes.slice(bytes.length - 16);
+        expected = me._tag(iv, me._utf8_encode(data || ''), crypt);
+        
+        // Compare all bytes to take the same time no matter where they differ
+        for ( var i = 0, diff = 0; i < 16; i++ ) {
+            diff |= tag[i] ^ expected[i];
+        };
+        
+        if ( diff ) Ext.Error.raise('Encrypted data is corrupted or was tampered with');
+        
+        return me._utf8_decode( me._ctr(iv, crypt) );
+    },
+    
+    /**
+     * hash
+     *
+     * Returns keyed hash of a string, which is the same for the same string
+     * and key but does not reveal the string.
+     *
+     * @param {String} text
+     *
+     * @return {String} AES-CMAC of the string, hex encoded
+     */
+    hash: function(text) {
+        var me    = this,
+            bytes = me._utf8_encode(text),
+            keys  = me.macKeys,
+            k1    = me._double( me._encrypt_block([ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ], keys) ),
+            k2    = me._double(k1),
+            count = Math.max(1, Math.ceil(bytes.length / 16)),
+            mac   = [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ],
+            hex   = '',
+            block, last, subkey;
+        
+        for ( var i = 0; i < count; i++ ) {
+            block = bytes.slice(i * 16, i * 16 + 16);
+            last  = i === count - 1;
+            
+            if ( last ) {
+                subkey = block.length === 16 ? k1 : k2;
+                
+                if ( block.length < 16 ) block.push(0x80);
+                while ( block.length < 16 ) block.push(0);
+            };
+            
+            for ( var j = 0; j < 16; j++ ) {
+                mac[j] ^= block[j] ^ (last ? subkey[j] : 0);
+            };
+            
+            mac = me._encrypt_block(mac, keys);
+        };
+        
+        for ( i = 0; i < 16; i++ ) {
+            hex += (mac[i] < 16 ? '0' : '') + mac[i].toString(16);
+        };
+        
+        return hex;
+    },
+    
+    /**
+     * @private Converts key to array of bytes
+     */
+    _get_key_bytes: function(key) {
+        var bytes = [];
+        
+        if ( Ext.isString(key) ) {
+            if ( !/^([0-9a-fA-F]{2})*$/.test(key) )
+                Ext.Error.raise('Encryption key string must be hex encoded');
+            
+            for ( var i = 0, l = key.length; i < l; i += 2 ) {
+                bytes.push( parseInt(key.substr(i, 2), 16) );
+            };
+            
+            return bytes;
+        };
+        
+        if ( window.ArrayBuffer && key instanceof ArrayBuffer ) key = new Uint8Array(key);
+        
+        return key && key.length ? Array.prototype.slice.call(key) : bytes;
+    },
+    
+    /**
+     * @private Expands AES key into round keys
+     */
+    _expand_key: function(key) {
+        var me     = this,
+            sbox   = me.sbox,
+            nk     = key.length / 4,
+            total  = 4 * (nk + 7),
+            words  = [],
+            rcon   = 1,
+            temp;
+        
+        for ( var i = 0; i < nk; i++ ) {
+            words.push( key.slice(i * 4, i * 4 + 4) );
+        };
+        
+        for ( i = nk; i < total; i++ ) {
+            temp = words[i - 1].slice(0);
+            
+            if ( i % nk === 0 ) {
+                temp = [ sbox[temp[1]] ^ rcon, sbox[temp[2]], sbox[temp[3]], sbox[temp[0]] ];
+                rcon = me.self.xtime(rcon);
+            }
+            else if ( nk > 6 && i % nk === 4 ) {
+                temp = [ sbox[temp[0]], sbox[temp[1]], sbox[temp[2]], sbox[temp[3]] ];
+            };
+            
+            for ( var j = 0; j < 4; j++ ) {
+                temp[j] ^= words[i - nk][j];
+            };
+            
+            words.push(temp);
+        };
+        
+        return Array.prototype.concat.apply([], words);
+    },
+    
+    /**
+     * @private Encrypts one 16 byte block with AES
+     */
+    _encrypt_block: function(input, keys) {
+        var me     = this,
+            sbox   = me.sbox,
+            xtime  = me.self.xtime,
+            rounds = (keys || (keys = me.roundKeys)).length / 16 - 1,
+            state  = [],
+            tmp    = [],
+            a0, a1, a2, a3, all;
+        
+        for ( var i = 0; i < 16; i++ ) {
+            state[i] = input[i] ^ keys[i];
+        };
+        
+        for ( var round = 1; round <= rounds; round++ ) {
+            // SubBytes and ShiftRows; state is kept column by column
+            for ( i = 0; i < 16; i++ ) {
+                tmp[i] = sbox[ state[ (i + (i % 4) * 4) % 16 ] ];
+            };
+            
+            // MixColumns, except for the last round
+            for ( var c = 0; c < 16; c += 4 ) {
+                a0 = tmp[c];
+                a1 = tmp[c + 1];
+                a2 = tmp[c + 2];
+                a3 = tmp[c + 3];
+                
+                if ( round < rounds ) {
+                    all = a0 ^ a1 ^ a2 ^ a3;
+                    
+                    state[c]     = a0 ^ all ^ xtime(a0 ^ a1);
+                    state[c + 1] = a1 ^ all ^ xtime(a1 ^ a2);
+                    state[c + 2] = a2 ^ all ^ xtime(a2 ^ a3);
+                    state[c + 3] = a3 ^ all ^ xtime(a3 ^ a0);
+                }
+                else {
+                    state[c]     = a0;
+                    state[c + 1] = a1;
+                    state[c + 2] = a2;
+                    state[c + 3] = a3;
+                };
+            };
+            
+            for ( i = 0; i < 16; i++ ) {
+                state[i] ^= keys[round * 16 + i];
+            };
+        };
+        
+        return state;
+    },
+    
+    /**
+     * @private Encrypts or decrypts bytes in counter mode, starting with counter 2
+     */
+    _ctr: function(iv, input) {
+        var me     = this,
+            output = [],
+            block;
+        
+        for ( var i = 0, l = input.length; i < l; i += 16 ) {
+            block = me._encrypt_block( me._counter(iv, i / 16 + 2) );
+            
+            for ( var j = 0; j < 16 && i + j < l; j++ ) {
+                output.push( input[i + j] ^ block[j] );
+            };
+        };
+        
+        return output;
+    },
+    
+    /**
+     * @private Returns counter block for IV
+     */
+    _counter: function(iv, counter) {
+        return iv.concat([ (counter >>> 24) & 0xff, (counter >>> 16) & 0xff,
+                           (counter >>> 8)  & 0xff,  counter         & 0xff ]);
+    },
+    
+    /**
+     * @private Returns authentication tag for ciphertext and additional data
+     */
+    _tag: function(iv, data, crypt) {
+        var me   = this,
+            h    = me._to_words( me._encrypt_block([ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ]) ),
+            mask = me._encrypt_block( me._counter(iv, 1) ),
+            x    = [ 0, 0, 0, 0 ],
+            lengths, tag;
+        
+        x = me._ghash(h, x, data);
+        x = me._ghash(h, x, crypt);
+        
+        // Lengths in bits, as two 64 bit numbers; our data is never that long
+        lengths = [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ];
+        me._put_length(lengths, 0, data.length * 8);
+        me._put_length(lengths, 8, crypt.length * 8);
+        
+        x   = me._ghash(h, x, lengths);
+        tag = me._from_words(x);
+        
+        for ( var i = 0; i < 16; i++ ) {
+            tag[i] ^= mask[i];
+        };
+        
+        return tag;
+    },
+    
+    /**
+     * @private Writes a length as 64 bit big endian number
+     */
+    _put_length: function(bytes, offset, length) {
+        var high = Math.floor(length / 0x100000000);
+        
+        for ( var i = 0; i < 4; i++ ) {
+            bytes[offset + 3 - i] = (high   >>> (i * 8)) & 0xff;
+            bytes[offset + 7 - i] = (length >>> (i * 8)) & 0xff;
+        };
+    },
+    
+    /**
+     * @private Adds bytes to GHASH value, padding them with zeroes to full blocks
+     */
+    _ghash: function(h, x, bytes) {
+        var me = this,
+            block;
+        
+        for ( var i = 0, l = bytes.length; i < l; i += 16 ) {
+            block = bytes.slice(i, i + 16);
+            
+            while ( block.length < 16 ) block.push(0);
+            
+            block = me._to_words(block);
+            
+            for ( var j = 0; j < 4; j++ ) {
+                x[j] ^= block[j];
+            };
+            
+            x = me._multiply(x, h);
+        };
+        
+        return x;
+    },
+    
+    /**
+     * @private Multiplies two numbers in GF(2^128), as defined for GCM
+     */
+    _multiply: function(x, y) {
+        var z = [ 0, 0, 0, 0 ],
+            v = y.slice(0),
+            lsb;
+        
+        for ( var i = 0; i < 128; i++ ) {
+            if ( (x[i >> 5] >>> (31 - (i & 31))) & 1 ) {
+                z[0] ^= v[0];
+                z[1] ^= v[1];
+                z[2] ^= v[2];
+                z[3] ^= v[3];
+            };
+            
+            lsb  = v[3] & 1;
+            v[3] = (v[3] >>> 1) | (v[2] << 31);
+            v[2] = (v[2] >>> 1) | (v[1] << 31);
+            v[1] = (v[1] >>> 1) | (v[0] << 31);
+            v[0] = (v[0] >>> 1) ^ (lsb ? 0xe1000000 : 0);
+        };
+        
+        return z;
+    },
+    
+    /**
+     * @private Multiplies a block by 2 for CMAC subkeys
+     */
+    _double: function(block) {
+        var result = [];
+        
+        for ( var i = 0; i < 16; i++ ) {
+            result[i] = ((block[i] << 1) | (i < 15 ? block[i + 1] >> 7 : 0)) & 0xff;
+        };
+        
+        if ( block[0] & 0x80 ) result[15] ^= 0x87;
+        
+        return result;
+    },
+    
+    /**
+     * @private Converts 16 bytes to four 32 bit words
+     */
+    _to_words: function(bytes) {
+        var words = [];
+        
+        for ( var i = 0; i < 16; i += 4 ) {
+            words.push( (bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3] );
+        };
+        
+        return words;
+    },
+    
+    /**
+     * @private Converts four 32 bit words to 16 bytes
+     */
+    _from_words: function(words) {
+        var bytes = [];
+        
+        for ( var i = 0; i < 4; i++ ) {
+            bytes.push( (words[i] >>> 24) & 0xff, (words[i] >>> 16) & 0xff,
+                        (words[i] >>> 8)  & 0xff,  words[i]         & 0xff );
+        };
+        
+        return bytes;
+    },
+    
+    /**
+     * @private Returns array of cryptographically strong random bytes.
+     * Predictable IV breaks GCM, so there is no fallback to Math.random().
+     */
+    _random_bytes: function(count) {
+        var crypto = window.crypto || window.msCrypto,
+            bytes;
+        
+        if ( !crypto || !crypto.getRandomValues || !window.Uint8Array )
+            Ext.Error.raise('Encryption needs crypto.getRandomValues(), which is not supported');
+        
+        bytes = new Uint8Array(count);
+        crypto.getRandomValues(bytes);
+        
+        return Array.prototype.slice.call(bytes);
+    },
+    
+    /**
+     * @private Encodes string to UTF-8 bytes. Unpaired surrogates are not valid
+     * Unicode and can't be in UTF-8; they are encoded as if they were characters,
+     * so that such strings survive, too.
+     */
+    _utf8_encode: function(text) {
+        var bytes = [],
+            c, next;
+        
+        for ( var i = 0, l = text.length; i < l; i++ ) {
+            c = text.charCodeAt(i);
+            
+            // Surrogate pair makes one character beyond 0xffff
+            if ( c >= 0xd800 && c < 0xdc00 && i + 1 < l ) {
+                next = text.charCodeAt(i + 1);
+                
+                if ( next >= 0xdc00 && next < 0xe000 ) {
+                    c = 0x10000 + ((c - 0xd800) << 10) + (next - 0xdc00);
+                    i++;
+                };
+            };
+            
+            if ( c < 0x80 ) {
+                bytes.push(c);
+            }
+            else if ( c < 0x800 ) {
+                bytes.push( 0xc0 | (c >> 6), 0x80 | (c & 63) );
+            }
+            else if ( c < 0x10000 ) {
+                bytes.push( 0xe0 | (c >> 12), 0x80 | ((c >> 6) & 63), 0x80 | (c & 63) );
+            }
+            else {
+                bytes.push( 0xf0 | (c >> 18), 0x80 | ((c >> 12) & 63),
+                            0x80 | ((c >> 6) & 63), 0x80 | (c & 63) );
+            };
+        };
+        
+        return bytes;
+    },
+    
+    /**
+     * @private Decodes UTF-8 bytes produced by _utf8_encode
+     */
+    _utf8_decode: function(bytes) {
+        var chars = [],
+            b, c;
+        
+        for ( var i = 0, l = bytes.length; i < l; i++ ) {
+            b = bytes[i];
+            
+            if ( b < 0x80 ) {
+                chars.push(b);
+            }
+            else if ( b < 0xe0 ) {
+                chars.push( ((b & 31) << 6) | (bytes[++i] & 63) );
+            }
+            else if ( b < 0xf0 ) {
+                chars.push( ((b & 15) << 12) | ((bytes[++i] & 63) << 6) | (bytes[++i] & 63) );
+            }
+            else {
+                c = ((b & 7) << 18) | ((bytes[++i] & 63) << 12) |
+                    ((bytes[++i] & 63) << 6) | (bytes[++i] & 63);
+                
+                // Back to surrogate pair
+                c -= 0x10000;
+                chars.push( 0xd800 + (c >> 10), 0xdc00 + (c & 0x3ff) );
+            };
+        };
+        
+        // Don't blow the stack with long strings
+        for ( i = 0, l = chars.length; i < l; i++ ) {
+            chars[i] = String.fromCharCode(chars[i]);
+        };
+        
+        return chars.join('');
+    },
+    
+    /**
+     * @private Encodes bytes to Base64 string
+     */
+    _base64_encode: function(bytes) {
+        var chars  = this.BASE64,
+            output = [],
+            n;
+        
+        for ( var i = 0, l = bytes.length; i < l; i += 3 ) {
+            n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            
+            output.push(
+                chars.charAt(n >> 18),
+                chars.charAt((n >> 12) & 63),
+                i + 1 < l ? chars.charAt((n >> 6) & 63) : '=',
+                i + 2 < l ? chars.charAt(n & 63)        : '='
+            );
+        };
+        
+        return output.join('');
+    },
+    
+    /**
+     * @private Decodes Base64 string to bytes, returns null if string is invalid
+     */
+    _base64_decode: function(text) {
+        var chars = this.BASE64,
+            bytes = [],
+            n, c;
+        
+        if ( !Ext.isString(text) || text.length % 4 ) return null;
+        
+        for ( var i = 0, l = text.length; i < l; i += 4 ) {
+            n = 0;
+            
+            for ( var j = 0; j < 4; j++ ) {
+                c = text.charAt(i + j);
+                
+                if ( c === '=' && i + 4 === l && j >= 2 ) {
+                    c = 0;
+                }
+                else {
+                    c = chars.indexOf(c);
+                    
+                    if ( c === -1 ) return null;
+                };
+                
+                n = (n << 6) | c;
+            };
+            
+            bytes.push(n >> 16, (n >> 8) & 0xff, n & 0xff);
+        };
+        
+        // Drop padding
+        if ( text.charAt(l - 1) === '=' ) bytes.pop();
+        if ( text.charAt(l - 2) === '=' ) bytes.pop();
+        
+        return bytes;
+    }
+});
@@ -0,0 +1,223 @@
+/*
+ * LZW string compressor for Ext.ux.Cache. Compressed strings are made of
+ * printable characters below surrogate range, so they can be kept in any
+ * storage that accepts strings, including Web Storage.
+ *
+ * Copyright (c) 2011-2012 Alexander Tokarev.
+ *
+ * This code is licensed under the terms of the Open Source LGPL 3.0 license.
+ * Commercial use is permitted to the extent that the code/component(s) do NOT
+ * become part of another Open Source or Commercially licensed development library
+ * or toolkit without explicit permission.
+ *
+ * License details: http://www.gnu.org/licenses/lgpl.html
+ * Github repo: https://github.com/nohuhu/Ext.ux.Cache
+ */
+
+Ext.define('Ext.ux.cache.Compressor', {
+    singleton: true,
+    
+    // Reserved codes: 8 bit literal follows, 16 bit literal follows, end of data.
+    // Dictionary codes start after them.
+    LITERAL8:  0,
+    LITERAL16: 1,
+    END:       2,
+    
+    // Every output character carries that many bits
+    BITS: 15,
+    
+    // Added to output character codes to skip control characters
+    OFFSET: 32,
+    
+    /**
+     * compress
+     *
+     * Compresses a string.
+     *
+     * @param {String} input
+     *
+     * @return {String} Compressed string
+     */
+    compress: function(input) {
+        var me     = this,
+            writer = me._create_writer(),
+            dict   = {},
+            fresh  = {},
+            next   = me.END + 1,
+            known  = next,              // Dictionary size as decompressor sees it
+            count  = 0,
+            w      = '',
+            emit, c, wc;
+        
+        // Characters get dictionary codes when first seen, but are written
+        // as literals the first time; that is when decompressor learns them
+        emit = function() {
+            var code, width = me._get_width(known);
+            
+            if ( fresh['_' + w] ) {
+                code = w.charCodeAt(0);
+                
+                if ( code < 256 ) {
+                    writer.write(me.LITERAL8, width);
+                    writer.write(code, 8);
+                }
+                else {
+                    writer.write(me.LITERAL16, width);
+                    writer.write(code, 16);
+                };
+                
+                delete fresh['_' + w];
+                known++;
+            }
+            else {
+                writer.write(dict['_' + w], width);
+            };
+            
+            if ( count++ ) known++;
+        };
+        
+        for ( var i = 0, l = input.length; i < l; i++ ) {
+            c = input.charAt(i);
+            
+            if ( !dict.hasOwnProperty('_' + c) ) {
+                dict['_' + c] = next++;
+                fresh['_' + c] = true;
+            };
+            
+            wc = w + c;
+            
+            if ( dict.hasOwnProperty('_' + wc) ) {
+                w = wc;
+                continue;
+            };
+            
+            emit();
+            
+            dict['_' + wc] = next++;
+            w              = c;
+        };
+        
+        if ( w !== '' ) emit();
+        
+        writer.write(me.END, me._get_width(known));
+        
+        return writer.flush();
+    },
+    
+    /**
+     * decompress
+     *
+     * Decompresses a string produced by compress().
+     *
+     * @param {String} input
+     *
+     * @return {String} Original string
+     */
+    decompress: function(input) {
+        var me     = this,
+            reader = me._create_reader(input),
+            dict   = [],
+            output = [],
+            next   = me.END + 1,
+            prev, code, entry;
+        
+        while ( true ) {
+            code = reader.read( me._get_width(next) );
+            
+            if ( code === me.END ) break;
+            
+            if ( code === me.LITERAL8 || code === me.LITERAL16 ) {
+                entry = String.fromCharCode( reader.read(code === me.LITERAL8 ? 8 : 16) );
+                dict[next++] = entry;
+            }
+            else if ( dict[code] !== undefined ) {
+                entry = dict[code];
+            }
+            else if ( code === next && prev !== undefined ) {
+                entry = prev + prev.charAt(0);      // Code that is being defined right now
+            }
+            else {
+                Ext.Error.raise({ msg: 'Invalid compressed data', code: code });
+            };
+            
+            output.push(entry);
+            
+            if ( prev !== undefined ) dict[next++] = prev + entry.charAt(0);
+            
+            prev = entry;
+        };
+        
+        return output.join('');
+    },
+    
+    /**
+     * @private Returns number of bits needed to write codes up to specified one
+     */
+    _get_width: function(code) {
+        var width = 1;
+        
+        while ( code >>= 1 ) width++;
+        
+        return width;
+    },
+    
+    /**
+     * @private Returns an object that packs bits into characters
+     */
+    _create_writer: function() {
+        var me     = this,
+            output = [],
+            buffer = 0,
+            length = 0;
+        
+        return {
+            write: function(value, width) {
+                for ( var i = width - 1; i >= 0; i-- ) {
+                    buffer = (buffer << 1) | ((value >> i) & 1);
+                    
+                    if ( ++length === me.BITS ) {
+                        output.push( String.fromCharCode(buffer + me.OFFSET) );
+                        buffer = length = 0;
+                    };
+                };
+            },
+            
+            flush: function() {
+                if ( length )
+                    output.push( String.fromCharCode((buffer << (me.BITS - length)) + me.OFFSET) );
+                
+                return output.join('');
+            }
+        };
+    },
+    
+    /**
+     * @private Returns an object that unpacks bits from characters
+     */
+    _create_reader: function(input) {
+        var me       = this,
+            position = 0,
+            buffer   = 0,
+            length   = 0;
+        
+        return {
+            read: function(width) {
+                var value = 0;
+                
+                for ( var i = 0; i < width; i++ ) {
+                    if ( !length ) {
+                        if ( position >= input.length )
+                            Ext.Error.raise('Unexpected end of compressed data');
+                        
+                        buffer = input.charCodeAt(position++) - me.OFFSET;
+                        length = me.BITS;
+                    };
+                    
+                    value = (value << 1) | ((buffer >> --length) & 1);
+                };
+                
+                return value;
+            }
+        };
+    }
+});
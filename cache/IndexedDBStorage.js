@@ -0,0 +1,427 @@
+/*
+ * IndexedDB storage backend for Ext.ux.Cache, suitable for large datasets
+ * that do not fit in Web Storage. IndexedDB API is asynchronous, so items
+ * are loaded into memory when the backend is created and all reads are
+ * served from memory; writes are applied to memory immediately and then
+ * saved to the database in background. Errors that happen while saving,
+ * quota errors included, cannot be thrown from setItem() that has returned
+ * long ago; error event is fired instead, and the item is kept in memory only.
+ *
+ * Copyright (c) 2011-2012 Alexander Tokarev.
+ *
+ * This code is licensed under the terms of the Open Source LGPL 3.0 license.
+ * Commercial use is permitted to the extent that the code/component(s) do NOT
+ * become part of another Open Source or Commercially licensed development library
+ * or toolkit without explicit permission.
+ *
+ * License details: http://www.gnu.org/licenses/lgpl.html
+ * Github repo: https://github.com/nohuhu/Ext.ux.Cache
+ */
+
+Ext.define('Ext.ux.cache.IndexedDBStorage', {
+    extend: 'Ext.ux.cache.Storage',
+    
+    requires: [
+        'Ext.ux.cache.MemoryStorage'
+    ],
+    
+    mixins: {
+        observable: 'Ext.util.Observable'
+    },
+    
+    statics: {
+        /**
+         * isSupported
+         *
+         * Returns true if browser supports IndexedDB.
+         *
+         * @return {Boolean}
+         */
+        isSupported: function() {
+            return !!this.getFactory();
+        },
+        
+        /**
+         * @private Returns IndexedDB factory object, vendor prefixed if necessary
+         */
+        getFactory: function() {
+            return window.indexedDB    || window.webkitIndexedDB ||
+                   window.mozIndexedDB || window.msIndexedDB;
+        }
+    },
+    
+    // Database name
+    dbName: 'Ext.ux.Cache',
+    
+    // Object store name
+    storeName: 'items',
+    
+    /**
+     * @constructor
+     *
+     * @param {Object} config (optional)
+     * @param {String} .dbName (optional) Database name. Default: 'Ext.ux.Cache'
+     * @param {String} .storeName (optional) Object store name; several backends
+     *      can share a database using different stores. Default: 'items'
+     * @param {Object} .listeners (optional) Event listeners
+     */
+    constructor: function(config) {
+        var me = this;
+        
+        me.mixins.observable.constructor.call(me, config);
+        
+        me.addEvents(
+            /**
+             * @event error
+             * Fires when the database cannot be opened or loaded, or an item
+             * cannot be saved to it. error property is set to the last error.
+             * @param {Ext.ux.cache.IndexedDBStorage} this
+             * @param {Error} error DOMException or other error
+             * @param {String} key The key of the item that was not saved,
+             *      or undefined if the whole database is affected
+             */
+            'error'
+        );
+        
+        me.mirror     = Ext.create('Ext.ux.cache.MemoryStorage');
+        me.pending    = [];     // Operations not saved to the database yet
+        me.readyQueue = [];
+        me.ready      = false;
+        
+        me._open();
+    },
+    
+    getLength: function() {
+        return this.mirror.getLength();
+    },
+    
+    key: function(index) {
+        return this.mirror.key(index);
+    },
+    
+    getItem: function(key) {
+        return this.mirror.getItem(key);
+    },
+    
+    setItem: function(key, value) {
+        var me = this;
+        
+        me.mirror.setItem(key, value);
+        me._save({ method: 'setItem', args: [key, value] });
+    },
+    
+    removeItem: function(key) {
+        var me = this;
+        
+        me.mirror.removeItem(key);
+        me._save({ method: 'removeItem', args: [key] });
+    },
+    
+    removeItems: function(prefix) {
+        var me = this;
+        
+        // Items that are not loaded yet are removed when they are
+        if ( !me.ready ) me.pending.push({ method: 'removeItems', args: [prefix] });
+        
+        me.callParent(arguments);
+    },
+    
+    clear: function() {
+        var me = this;
+        
+        me.mirror.clear();
+        me._save({ method: 'clear', args: [] });
+    },
+    
+    isReady: function() {
+        return this.ready;
+    },
+    
+    onReady: function(fn, scope) {
+        var me = this;
+        
+        if ( me.ready ) {
+            fn.call(scope || me);
+        }
+        else {
+            me.readyQueue.push({ fn: fn, scope: scope });
+        };
+    },
+    
+    destroy: function() {
+        var me = this;
+        
+        if ( me.db ) {
+            me.db.close();
+            delete me.db;
+        };
+        
+        me.clearListeners();
+    },
+    
+    /**
+     * @private Opens the database and loads all items. Object stores can only
+     * be created when database version changes, so if there is no store with
+     * our name yet, the database is opened again with the next version.
+     */
+    _open: function(version) {
+        var me      = this,
+            factory = me.self.getFactory(),
+            closed  = false,
+            request, watch;
+        
+        if ( !factory ) {
+            me._set_ready();    // Nothing to load, memory only
+            return;
+        };
+        
+        try {
+            request = version ? factory.open(me.dbName, version) : factory.open(me.dbName);
+        }
+        catch (e) {
+            me._fail(e);
+            return;
+        };
+        
+        // Let other backends on the same database add their stores. This can
+        // happen before success event is fired, so connection is watched early.
+        watch = function(db) {
+            db.onversionchange = function() {
+                db.close();
+                closed = true;
+                
+                if ( me.db !== db ) return;
+                
+                delete me.db;
+                
+                me.reopening = true;
+                me._open();
+            };
+        };
+        
+        request.onupgradeneeded = function() {
+            var db = request.result;
+            
+            watch(db);
+            
+            if ( !db.objectStoreNames.contains(me.storeName) )
+                db.createObjectStore(me.storeName);
+        };
+        
+        request.onsuccess = function() {
+            var db = request.result;
+            
+            if ( closed ) {
+                me._open();
+                return;
+            };
+            
+            if ( !db.objectStoreNames.contains(me.storeName) ) {
+                db.close();
+                me._open(db.version + 1);
+                return;
+            };
+            
+            watch(db);
+            
+            me.db = db;
+            
+            if ( me.ready ) {
+                me.reopening = false;
+                me._flush();
+            }
+            else {
+                me._load();
+            };
+        };
+        
+        request.onerror = function() {
+            var error = request.error;
+            
+            // Somebody else upgraded the database first, or we had to close it
+            // in the middle of our own upgrade; try again
+            if ( closed || (version && error && error.name === 'VersionError') ) {
+                me._open();
+                return;
+            };
+            
+            me._fail(error);
+        };
+    },
+    
+    /**
+     * @private Loads all items from the database, then replays operations
+     * that were made in the meantime on top of them
+     */
+    _load: function() {
+        var me     = this,
+            mirror = Ext.create('Ext.ux.cache.MemoryStorage'),
+            request;
+        
+        try {
+            request = me._get_object_store('readonly').openCursor();
+        }
+        catch (e) {
+            me._fail(e);
+            return;
+        };
+        
+        request.onsuccess = function() {
+            var cursor = request.result,
+                pending, op;
+            
+            if ( cursor ) {
+                mirror.setItem(cursor.key, cursor.value);
+                cursor['continue']();
+                return;
+            };
+            
+            pending = me.pending;
+            
+            for ( var i = 0, l = pending.length; i < l; i++ ) {
+                op = pending[i];
+                
+                mirror[op.method].apply(mirror, op.args);
+            };
+            
+            me.mirror = mirror;
+            
+            me._set_ready();
+            me._flush();
+        };
+        
+        request.onerror = function() {
+            me._fail(request.error);
+        };
+    },
+    
+    /**
+     * @private Saves operations that were postponed
+     */
+    _flush: function() {
+        var me      = this,
+            pending = me.pending;
+        
+        me.pending = [];
+        
+        for ( var i = 0, l = pending.length; i < l; i++ ) {
+            me._save(pending[i]);
+        };
+    },
+    
+    /**
+     * @private Gives up on the database; backend keeps working in memory only
+     */
+    _fail: function(error) {
+        var me = this;
+        
+        me.error     = error;
+        me.pending   = [];
+        me.reopening = false;
+        
+        if ( me.db ) {
+            me.db.close();
+            delete me.db;
+        };
+        
+        if ( !me.ready ) me._set_ready();
+        
+        me.fireEvent('error', me, error);
+    },
+    
+    /**
+     * @private Reports operation that could not be saved to the database;
+     * memory keeps the result, so the item is only lost on page reload
+     */
+    _on_save_error: function(op, error) {
+        var me = this;
+        
+        me.error = error;
+        
+        me.fireEvent('error', me, error, op.method === 'setItem' || op.method === 'removeItem'
+                                         ? op.args[0] : undefined);
+    },
+    
+    /**
+     * @private Marks backend as ready and calls queued functions
+     */
+    _set_ready: function() {
+        var me    = this,
+            queue = me.readyQueue;
+        
+        me.ready      = true;
+        me.readyQueue = [];
+        
+        for ( var i = 0, l = queue.length; i < l; i++ ) {
+            queue[i].fn.call(queue[i].scope || me);
+        };
+    },
+    
+    /**
+     * @private Returns object store from a new transaction
+     */
+    _get_object_store: function(mode) {
+        var me = this;
+        
+        return me.db.transaction([ me.storeName ], mode).objectStore(me.storeName);
+    },
+    
+    /**
+     * @private Saves the result of an operation to the database, or postpones
+     * it until the database is loaded
+     */
+    _save: function(op) {
+        var me = this,
+            store;
+        
+        // Not loaded yet, or reopening to let another backend in
+        if ( !me.ready || me.reopening ) {
+            me.pending.push(op);
+            return;
+        };
+        
+        if ( !me.db ) return;       // Database is not available, memory only
+        
+        try {
+            store = me._get_object_store('readwrite');
+            
+            me._send(store, op);
+        }
+        catch (e) {
+            me._on_save_error(op, e);
+            return;
+        };
+        
+        // Failed request aborts the transaction, and quota is only checked on commit
+        store.transaction.onabort = function() {
+            me._on_save_error(op, store.transaction.error || new Error('IndexedDB transaction aborted'));
+        };
+    },
+    
+    /**
+     * @private Makes database request for the operation
+     */
+    _send: function(store, op) {
+        var request, prefix;
+        
+        switch ( op.method ) {
+        case 'setItem':     store.put(op.args[1], op.args[0]);  break;
+        case 'removeItem':  store['delete'](op.args[0]);        break;
+        case 'clear':       store.clear();                      break;
+        case 'removeItems':
+            prefix  = op.args[0];
+            request = store.openCursor();
+            
+            request.onsuccess = function() {
+                var cursor = request.result;
+                
+                if ( !cursor ) return;
+                
+                if ( String(cursor.key).indexOf(prefix) === 0 ) cursor['delete']();
+                
+                cursor['continue']();
+            };
+            break;
+        };
+    }
+});
@@ -0,0 +1,123 @@
+/*
+ * In-memory storage backend for Ext.ux.Cache. Keeps values as is without
+ * serializing them. Every instance has its own set of items.
+ *
+ * Copyright (c) 2011-2012 Alexander Tokarev.
+ *  
+ * This code is licensed under the terms of the Open Source LGPL 3.0 license.
+ * Commercial use is permitted to the extent that the code/component(s) do NOT
+ * become part of another Open Source or Commercially licensed development library
+ * or toolkit without explicit permission.
+ * 
+ * License details: http://www.gnu.org/licenses/lgpl.html
+ * Github repo: https://github.com/nohuhu/Ext.ux.Cache
+ */
+
+Ext.define('Ext.ux.cache.MemoryStorage', {
+    extend: 'Ext.ux.cache.Storage',
+    
+    // Values are kept as is
+    serialized: false,
+    
+    /**
+     * @constructor
+     *
+     * @param {Object} config (optional) Properties to apply to the instance
+     */
+    constructor: function(config) {
+        var me = this;
+        
+        me.callParent(arguments);
+        me.clear();
+    },
+    
+    /**
+     * getLength
+     *
+     * Returns the number of stored items.
+     *
+     * @return {Int}
+     */
+    getLength: function() {
+        return this.length;
+    },
+    
+    /**
+     * key
+     *
+     * Returns the key with specified index.
+     *
+     * @param {Int} index
+     *
+     * @return {String} Key, or null if index is out of range
+     */
+    key: function(index) {
+        var key = this.keys[index];
+        
+        return key === undefined ? null : key;
+    },
+    
+    /**
+     * getItem
+     *
+     * Returns the value stored with specified key.
+     *
+     * @param {String} key
+     *
+     * @return {Mixed} Value, or null if there is none
+     */
+    getItem: function(key) {
+        var me = this;
+        
+        return me.items.hasOwnProperty(key) ? me.items[key] : null;
+    },
+    
+    /**
+     * setItem
+     *
+     * Stores value with specified key, replacing existing value if any.
+     *
+     * @param {String} key
+     * @param {Mixed} value
+     */
+    setItem: function(key, value) {
+        var me = this;
+        
+        if ( !me.items.hasOwnProperty(key) ) {
+            me.keys.push(key);
+            me.length++;
+        };
+        
+        me.items[key] = value;
+    },
+    
+    /**
+     * removeItem
+     *
+     * Removes value with specified key.
+     *
+     * @param {String} key
+     */
+    removeItem: function(key) {
+        var me = this;
+        
+        if ( !me.items.hasOwnProperty(key) ) return;
+        
+        Ext.Array.remove(me.keys, key);
+        delete me.items[key];
+        me.length--;
+    },
+    
+    /**
+     * clear
+     *
+     * Removes all values.
+     */
+    clear: function() {
+        var me = this;
+        
+        me.items  = {};
+        me.keys   = [];
+        me.length = 0;
+    }
+});
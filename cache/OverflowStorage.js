@@ -0,0 +1,193 @@
+/*
+ * Overflow storage for Ext.ux.Cache. Wraps another storage backend that
+ * ran out of space: items are still written to the backend, and the ones
+ * that do not fit are kept in memory instead. Items already in the backend
+ * stay there and can be read as before.
+ *
+ * Copyright (c) 2011-2012 Alexander Tokarev.
+ *
+ * This code is licensed under the terms of the Open Source LGPL 3.0 license.
+ * Commercial use is permitted to the extent that the code/component(s) do NOT
+ * become part of another Open Source or Commercially licensed development library
+ * or toolkit without explicit permission.
+ *
+ * License details: http://www.gnu.org/licenses/lgpl.html
+ * Github repo: https://github.com/nohuhu/Ext.ux.Cache
+ */
+
+Ext.define('Ext.ux.cache.OverflowStorage', {
+    extend: 'Ext.ux.cache.Storage',
+    
+    requires: [
+        'Ext.ux.cache.MemoryStorage'
+    ],
+    
+    // Storage backend that is full
+    backend: null,
+    
+    /**
+     * @constructor
+     *
+     * @param {Object} config
+     * @param {Ext.ux.cache.Storage} .backend Storage backend to wrap
+     */
+    constructor: function(config) {
+        var me = this;
+        
+        me.callParent(arguments);
+        
+        // Items in memory are kept as the backend would keep them
+        me.serialized = me.backend.serialized;
+        me.overflow   = Ext.create('Ext.ux.cache.MemoryStorage');
+    },
+    
+    /**
+     * getLength
+     *
+     * Returns the number of stored items, in the backend and in memory.
+     *
+     * @return {Int}
+     */
+    getLength: function() {
+        var me = this;
+        
+        return me.backend.getLength() + me.overflow.getLength();
+    },
+    
+    /**
+     * key
+     *
+     * Returns the key with specified index. Keys in the backend go first.
+     *
+     * @param {Int} index
+     *
+     * @return {String} Key, or null if index is out of range
+     */
+    key: function(index) {
+        var me     = this,
+            length = me.backend.getLength();
+        
+        return index < length ? me.backend.key(index) : me.overflow.key(index - length);
+    },
+    
+    /**
+     * getItem
+     *
+     * Returns the value stored with specified key.
+     *
+     * @param {String} key
+     *
+     * @return {Mixed} Value, or null if there is none
+     */
+    getItem: function(key) {
+        var me    = this,
+            value = me.overflow.getItem(key);
+        
+        return value !== null ? value : me.backend.getItem(key);
+    },
+    
+    /**
+     * setItem
+     *
+     * Stores value with specified key in the backend, or in memory
+     * if the backend is full. Never throws QuotaExceededError.
+     *
+     * @param {String} key
+     * @param {Mixed} value
+     */
+    setItem: function(key, value) {
+        var me = this;
+        
+        try {
+            me.backend.setItem(key, value);
+        }
+        catch (e) {
+            if ( !Ext.ux.cache.Storage.isQuotaError(e) ) throw e;
+            
+            // Old value must not be found in the backend after page reload
+            me.backend.removeItem(key);
+            me.overflow.setItem(key, value);
+            
+            return;
+        };
+        
+        me.overflow.removeItem(key);
+    },
+    
+    /**
+     * removeItem
+     *
+     * Removes value with specified key.
+     *
+     * @param {String} key
+     */
+    removeItem: function(key) {
+        var me = this;
+        
+        me.backend.removeItem(key);
+        me.overflow.removeItem(key);
+    },
+    
+    /**
+     * removeItems
+     *
+     * Removes all values with keys starting with specified prefix.
+     *
+     * @param {String} prefix
+     */
+    removeItems: function(prefix) {
+        var me = this;
+        
+        me.backend.removeItems(prefix);
+        me.overflow.removeItems(prefix);
+    },
+    
+    /**
+     * clear
+     *
+     * Removes all values from the backend and from memory.
+     */
+    clear: function() {
+        var me = this;
+        
+        me.backend.clear();
+        me.overflow.clear();
+    },
+    
+    /**
+     * isReady
+     *
+     * Returns true if the backend is ready.
+     *
+     * @return {Boolean}
+     */
+    isReady: function() {
+        return this.backend.isReady();
+    },
+    
+    /**
+     * onReady
+     *
+     * Calls specified function when the backend is ready.
+     *
+     * @param {Function} fn Function to call
+     * @param {Object} scope (optional) Scope to call the function in
+     */
+    onReady: function(fn, scope) {
+        var me = this;
+        
+        me.backend.onReady(fn, scope || me);
+    },
+    
+    /**
+     * destroy
+     *
+     * Releases resources held by the backend. Items kept in memory are lost.
+     */
+    destroy: function() {
+        var me = this;
+        
+        me.backend.destroy();
+        me.overflow.clear();
+    }
+});
@@ -0,0 +1,186 @@
+/*
+ * Base class for Ext.ux.Cache storage backends. Describes the interface that
+ * the cache expects from a backend; it is modeled after Web Storage API,
+ * with a few additions for backends that need to load asynchronously.
+ *
+ * Copyright (c) 2011-2012 Alexander Tokarev.
+ *  
+ * This code is licensed under the terms of the Open Source LGPL 3.0 license.
+ * Commercial use is permitted to the extent that the code/component(s) do NOT
+ * become part of another Open Source or Commercially licensed development library
+ * or toolkit without explicit permission.
+ * 
+ * License details: http://www.gnu.org/licenses/lgpl.html
+ * Github repo: https://github.com/nohuhu/Ext.ux.Cache
+ */
+
+Ext.define('Ext.ux.cache.Storage', {
+    
+    statics: {
+        /**
+         * isQuotaError
+         *
+         * Returns true if exception was thrown because storage is full.
+         *
+         * @param {Mixed} e Exception
+         *
+         * @return {Boolean}
+         */
+        isQuotaError: function(e) {
+            if ( !e ) return false;
+            
+            return e.name   === 'QuotaExceededError'         ||
+                   e.name   === 'NS_ERROR_DOM_QUOTA_REACHED' ||     // Firefox
+                   e.code   === 22                           ||
+                   e.code   === 1014                         ||
+                   e.number === -2147024882;                        // IE8
+        }
+    },
+    
+    // True if backend can only keep strings, so values have to be serialized
+    serialized: true,
+    
+    /**
+     * @constructor
+     *
+     * @param {Object} config (optional) Properties to apply to the instance
+     */
+    constructor: function(config) {
+        var me = this;
+        
+        Ext.apply(me, config);
+    },
+    
+    /**
+     * getLength
+     *
+     * Returns the number of stored items.
+     *
+     * @return {Int}
+     */
+    getLength: function() {
+        Ext.Error.raise('Storage backend must implement getLength()');
+    },
+    
+    /**
+     * key
+     *
+     * Returns the key with specified index. Indexes of the keys may change
+     * after items are added or removed.
+     *
+     * @param {Int} index
+     *
+     * @return {String} Key, or null if index is out of range
+     */
+    key: function(index) {
+        Ext.Error.raise('Storage backend must implement key()');
+    },
+    
+    /**
+     * getItem
+     *
+     * Returns the value stored with specified key.
+     *
+     * @param {String} key
+     *
+     * @return {Mixed} Value, or null if there is none
+     */
+    getItem: function(key) {
+        Ext.Error.raise('Storage backend must implement getItem()');
+    },
+    
+    /**
+     * setItem
+     *
+     * Stores value with specified key, replacing existing value if any.
+     * Backends should throw an exception compatible with Web Storage
+     * QuotaExceededError when they run out of space. Asynchronous backends
+     * find out too late to throw it, see Ext.ux.cache.IndexedDBStorage.
+     *
+     * @param {String} key
+     * @param {Mixed} value
+     */
+    setItem: function(key, value) {
+        Ext.Error.raise('Storage backend must implement setItem()');
+    },
+    
+    /**
+     * removeItem
+     *
+     * Removes value with specified key.
+     *
+     * @param {String} key
+     */
+    removeItem: function(key) {
+        Ext.Error.raise('Storage backend must implement removeItem()');
+    },
+    
+    /**
+     * removeItems
+     *
+     * Removes all values with keys starting with specified prefix.
+     * Backends that load items in background should remove the items
+     * that are not loaded yet as well.
+     *
+     * @param {String} prefix
+     */
+    removeItems: function(prefix) {
+        var me   = this,
+            keys = [],
+            key;
+        
+        for ( var i = 0, l = me.getLength(); i < l; i++ ) {
+            key = me.key(i);
+            
+            if ( key !== null && key.indexOf(prefix) === 0 ) keys.push(key);
+        };
+        
+        for ( i = 0, l = keys.length; i < l; i++ ) {
+            me.removeItem(keys[i]);
+        };
+    },
+    
+    /**
+     * clear
+     *
+     * Removes all values from storage, including ones that were not
+     * stored by the cache.
+     */
+    clear: function() {
+        Ext.Error.raise('Storage backend must implement clear()');
+    },
+    
+    /**
+     * isReady
+     *
+     * Returns true if backend has finished loading and is ready to be used.
+     * Synchronous backends are always ready.
+     *
+     * @return {Boolean}
+     */
+    isReady: function() {
+        return true;
+    },
+    
+    /**
+     * onReady
+     *
+     * Calls specified function when backend is ready, or immediately
+     * if it is ready already.
+     *
+     * @param {Function} fn Function to call
+     * @param {Object} scope (optional) Scope to call the function in
+     */
+    onReady: function(fn, scope) {
+        var me = this;
+        
+        fn.call(scope || me);
+    },
+    
+    /**
+     * destroy
+     *
+     * Releases resources held by the backend. Stored items are left intact.
+     */
+    destroy: Ext.emptyFn
+});
@@ -0,0 +1,194 @@
+/*
+ * Transaction for Ext.ux.Cache, see Ext.ux.Cache.transaction(). Changes are
+ * kept in the transaction until commit, and reads see them; on commit all
+ * of them are written to the cache at once, or none.
+ *
+ * Copyright (c) 2011-2012 Alexander Tokarev.
+ *
+ * This code is licensed under the terms of the Open Source LGPL 3.0 license.
+ * Commercial use is permitted to the extent that the code/component(s) do NOT
+ * become part of another Open Source or Commercially licensed development library
+ * or toolkit without explicit permission.
+ *
+ * License details: http://www.gnu.org/licenses/lgpl.html
+ * Github repo: https://github.com/nohuhu/Ext.ux.Cache
+ */
+
+Ext.define('Ext.ux.cache.Transaction', {
+    
+    // True when the transaction is committed or rolled back
+    finished: false,
+    
+    /**
+     * @constructor
+     *
+     * @param {Object} config
+     * @param {Ext.ux.Cache} .cache Cache to apply changes to
+     */
+    constructor: function(config) {
+        var me = this;
+        
+        Ext.apply(me, config);
+        
+        me.changes = {};        // Keys are prefixed to stay clear of Object.prototype
+        me.order   = [];
+    },
+    
+    /**
+     * get
+     *
+     * Returns value for specified key, as changed in this transaction.
+     * Unlike Ext.ux.Cache.get(), does not update access metadata.
+     *
+     * @param {String} key
+     *
+     * @return {Mixed} Value, or undefined if there is none
+     */
+    get: function(key) {
+        var me = this,
+            change;
+        
+        me._check_finished();
+        
+        change = me.changes['_' + key];
+        
+        if ( change ) return change.removed ? undefined : change.value;
+        
+        return me.cache._peek(key);
+    },
+    
+    /**
+     * has
+     *
+     * Returns true if there is an item for such key, as changed in this transaction.
+     *
+     * @param {String} key
+     *
+     * @return {Boolean}
+     */
+    has: function(key) {
+        var me = this;
+        
+        return me.get(key) !== undefined;
+    },
+    
+    /**
+     * keys
+     *
+     * Returns the list of keys, as changed in this transaction.
+     *
+     * @return {String[]} Array of keys
+     */
+    keys: function() {
+        var me   = this,
+            keys = [],
+            all;
+        
+        me._check_finished();
+        
+        all = Ext.Array.unique( me.cache.keys().concat(me.order) );
+        
+        for ( var i = 0, l = all.length; i < l; i++ ) {
+            if ( me.has(all[i]) ) keys.push(all[i]);
+        };
+        
+        return keys;
+    },
+    
+    /**
+     * set
+     *
+     * Adds key/value pair to the transaction, see Ext.ux.Cache.set().
+     * Input is checked right away, not on commit.
+     *
+     * @param {String} key
+     * @param {Mixed} value
+     * @param {Int/Date} expires (optional) Expiration modifier
+     * @param {Object} options (optional) Additional options
+     *
+     * @return {Mixed} Input value
+     */
+    set: function(key, value, expires, options) {
+        var me = this;
+        
+        me._check_finished();
+        
+        me.cache._check_item(key, value, expires, options);
+        
+        me._change(key, { value: value, expires: expires, options: options });
+        
+        return value;
+    },
+    
+    /**
+     * remove
+     *
+     * Removes an item with specified key in the transaction.
+     *
+     * @param {String} key
+     */
+    remove: function(key) {
+        var me = this;
+        
+        me._check_finished();
+        
+        me._change(key, { removed: true });
+    },
+    
+    /**
+     * commit
+     *
+     * Writes all changes to the cache at once. If that fails, the cache
+     * is left as it was and the exception is rethrown. Either way,
+     * the transaction is finished.
+     */
+    commit: function() {
+        var me      = this,
+            changes = [];
+        
+        me._check_finished();
+        
+        me.finished = true;
+        
+        for ( var i = 0, l = me.order.length; i < l; i++ ) {
+            changes.push( Ext.apply({ key: me.order[i] }, me.changes['_' + me.order[i]]) );
+        };
+        
+        me.cache._commit(changes);
+    },
+    
+    /**
+     * rollback
+     *
+     * Discards all changes and finishes the transaction.
+     */
+    rollback: function() {
+        var me = this;
+        
+        me._check_finished();
+        
+        me.finished = true;
+        me.changes  = {};
+        me.order    = [];
+    },
+    
+    /**
+     * @private Records change for the key, replacing previous one
+     */
+    _change: function(key, change) {
+        var me = this;
+        
+        if ( !me.changes.hasOwnProperty('_' + key) ) me.order.push(key);
+        
+        me.changes['_' + key] = change;
+    },
+    
+    /**
+     * @private Throws an exception if the transaction is already finished
+     */
+    _check_finished: function() {
+        var me = this;
+        
+        if ( me.finished ) Ext.Error.raise('Transaction is already finished');
+    }
+});
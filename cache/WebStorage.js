@@ -0,0 +1,61 @@
+/*
+ * Web Storage backend for Ext.ux.Cache, works with either localStorage
+ * or sessionStorage.
+ *
+ * Copyright (c) 2011-2012 Alexander Tokarev.
+ *  
+ * This code is licensed under the terms of the Open Source LGPL 3.0 license.
+ * Commercial use is permitted to the extent that the code/component(s) do NOT
+ * become part of another Open Source or Commercially licensed development library
+ * or toolkit without explicit permission.
+ * 
+ * License details: http://www.gnu.org/licenses/lgpl.html
+ * Github repo: https://github.com/nohuhu/Ext.ux.Cache
+ */
+
+Ext.define('Ext.ux.cache.WebStorage', {
+    extend: 'Ext.ux.cache.Storage',
+    
+    statics: {
+        /**
+         * isSupported
+         *
+         * Returns true if browser supports Web Storage of specified type.
+         *
+         * @param {String} type 'localStorage' or 'sessionStorage'
+         *
+         * @return {Boolean}
+         */
+        isSupported: function(type) {
+            // IE6 and IE7 have userData behavior that looks like Web Storage, but isn't
+            return !Ext.isIE6 && !Ext.isIE7 && window[type] != undefined;
+        }
+    },
+    
+    // Web Storage object to use: window.localStorage or window.sessionStorage
+    store: null,
+    
+    getLength: function() {
+        return this.store.length;
+    },
+    
+    key: function(index) {
+        return this.store.key(index);
+    },
+    
+    getItem: function(key) {
+        return this.store.getItem(key);
+    },
+    
+    setItem: function(key, value) {
+        this.store.setItem(key, value);
+    },
+    
+    removeItem: function(key) {
+        this.store.removeItem(key);
+    },
+    
+    clear: function() {
+        this.store.clear();
+    }
+});
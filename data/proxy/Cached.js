@@ -0,0 +1,275 @@
+/*
+ * Data proxy that caches server responses with Ext.ux.Cache. Wraps another
+ * proxy (ajax, rest, jsonp etc.) and serves read operations from the cache
+ * when possible; create, update and destroy operations are passed through
+ * to the wrapped proxy and invalidate all cached responses.
+ *
+ * Responses are cached in raw form, before they are read by the wrapped proxy's
+ * reader, so only readers that work with JSON data are supported.
+ *
+ * Copyright (c) 2011-2012 Alexander Tokarev.
+ *  
+ * This code is licensed under the terms of the Open Source LGPL 3.0 license.
+ * Commercial use is permitted to the extent that the code/component(s) do NOT
+ * become part of another Open Source or Commercially licensed development library
+ * or toolkit without explicit permission.
+ * 
+ * License details: http://www.gnu.org/licenses/lgpl.html
+ * Github repo: https://github.com/nohuhu/Ext.ux.Cache
+ */
+
+Ext.define('Ext.ux.data.proxy.Cached', {
+    extend: 'Ext.data.proxy.Proxy',
+    alias:  'proxy.cached',
+    
+    requires: [
+        'Ext.ux.Cache'
+    ],
+    
+    // Proxy to pass operations to, instance or config object
+    proxy: null,
+    
+    // Ext.ux.Cache instance or config object
+    cache: null,
+    
+    // Time to live for cached responses, in milliseconds; 0 means forever
+    ttl: 60000,
+    
+    /**
+     * @constructor
+     *
+     * @param {Object} config
+     * @param {Object/Ext.data.proxy.Proxy} .proxy Proxy to pass operations to,
+     *      either an instance or a config object. Default type: 'ajax'
+     * @param {Object/Ext.ux.Cache} .cache (optional) Cache to keep responses in,
+     *      either an instance or a config object.
+     *      Default: session cache with 'Ext.ux.data.proxy.Cached.' key prefix
+     * @param {Int} .ttl (optional) Time to live for cached responses, in milliseconds.
+     *      Default: 60000
+     */
+    constructor: function(config) {
+        var me = this,
+            proxy, cache;
+        
+        me.callParent(arguments);
+        
+        proxy = me.proxy;
+        cache = me.cache;
+        
+        if ( !proxy )
+            Ext.Error.raise('Cached proxy needs a proxy to pass operations to');
+        
+        if ( !(proxy instanceof Ext.data.proxy.Proxy) ) {
+            proxy = Ext.createByAlias('proxy.' + (proxy.type || 'ajax'),
+                                      Ext.apply({ model: me.model }, proxy));
+        };
+        
+        if ( !(cache instanceof Ext.ux.Cache) ) {
+            cache = Ext.create('Ext.ux.Cache', Ext.apply({
+                storage:   'session',
+                keyPrefix: 'Ext.ux.data.proxy.Cached.'
+            }, cache));
+        };
+        
+        me.proxy = proxy;
+        me.cache = cache;
+    },
+    
+    /**
+     * setModel
+     *
+     * Sets the model for both this proxy and the wrapped one.
+     */
+    setModel: function(model, setOnStore) {
+        var me = this;
+        
+        me.callParent(arguments);
+        
+        // Not there yet when called from parent constructor
+        if ( me.proxy instanceof Ext.data.proxy.Proxy ) me.proxy.setModel(model, false);
+    },
+    
+    /**
+     * setExtraParam
+     *
+     * Sets extra parameter of the wrapped proxy, which is sent with every
+     * request. Responses are cached separately for every set of extra params.
+     *
+     * @param {String} name
+     * @param {Mixed} value
+     */
+    setExtraParam: function(name, value) {
+        var proxy = this.proxy;
+        
+        if ( proxy.setExtraParam ) {
+            proxy.setExtraParam(name, value);
+        }
+        else {
+            (proxy.extraParams || (proxy.extraParams = {}))[name] = value;
+        };
+    },
+    
+    /**
+     * read
+     *
+     * Serves read operation from the cache, or passes it to the wrapped proxy
+     * and caches the response.
+     */
+    read: function(operation, callback, scope) {
+        var me     = this,
+            key    = me.getCacheKey(operation),
+            reader = me.proxy.getReader(),
+            data   = me.cache.get(key),
+            resultSet;
+        
+        if ( data !== undefined ) {
+            resultSet = reader.read(data);
+            
+            operation.resultSet = resultSet;
+            operation.records   = resultSet.records;
+            
+            operation.setCompleted();
+            operation.setSuccessful();
+            
+            Ext.callback(callback, scope || me, [operation]);
+            return;
+        };
+        
+        me.proxy.read(operation, function(op) {
+            var raw = reader.rawData;
+            
+            // Raw data is XML document or something else we can't store
+            if ( op.wasSuccessful() && (Ext.isObject(raw) || Ext.isArray(raw)) )
+                me.cache.set(key, raw, me.ttl || undefined);
+            
+            Ext.callback(callback, scope || me, [op]);
+        });
+    },
+    
+    /**
+     * create
+     *
+     * Passes create operation to the wrapped proxy and invalidates cache.
+     */
+    create: function(operation, callback, scope) {
+        var me = this;
+        
+        me.proxy.create(operation, me._invalidate_after(callback, scope));
+    },
+    
+    /**
+     * update
+     *
+     * Passes update operation to the wrapped proxy and invalidates cache.
+     */
+    update: function(operation, callback, scope) {
+        var me = this;
+        
+        me.proxy.update(operation, me._invalidate_after(callback, scope));
+    },
+    
+    /**
+     * destroy
+     *
+     * Passes destroy operation to the wrapped proxy and invalidates cache.
+     */
+    destroy: function(operation, callback, scope) {
+        var me = this;
+        
+        me.proxy.destroy(operation, me._invalidate_after(callback, scope));
+    },
+    
+    /**
+     * invalidate
+     *
+     * Removes all responses cached by this proxy.
+     */
+    invalidate: function() {
+        var me   = this,
+            pfx  = me._get_url() + '?',
+            keys = me.cache.keys();
+        
+        for ( var i = 0, l = keys.length; i < l; i++ ) {
+            if ( keys[i].indexOf(pfx) === 0 ) me.cache.remove(keys[i]);
+        };
+    },
+    
+    /**
+     * getCacheKey
+     *
+     * Returns cache key for read operation, made of the URL and all parameters
+     * that may affect the response: params and extra params of the wrapped proxy,
+     * paging, sorting, filtering and grouping.
+     *
+     * @param {Ext.data.Operation} operation
+     *
+     * @return {String}
+     */
+    getCacheKey: function(operation) {
+        var me     = this,
+            all    = Ext.applyIf(Ext.apply({}, operation.params), me.proxy.extraParams),
+            params = {},
+            names;
+        
+        // Operation params win over extra params, same as in request
+        names = Ext.Object.getKeys(all).sort();
+        
+        for ( var i = 0, l = names.length; i < l; i++ ) {
+            params[ names[i] ] = all[ names[i] ];
+        };
+        
+        return me._get_url() + '?' + Ext.JSON.encode({
+            params:  params,
+            id:      operation.id,
+            page:    operation.page,
+            start:   operation.start,
+            limit:   operation.limit,
+            sorters: me._describe(operation.sorters,  ['property', 'direction']),
+            filters: me._describe(operation.filters,  ['property', 'value']),
+            groups:  me._describe(operation.groupers, ['property', 'direction'])
+        });
+    },
+    
+    /**
+     * @private Returns URL of the wrapped proxy that is used for reading
+     */
+    _get_url: function() {
+        var proxy = this.proxy;
+        
+        return (proxy.api && proxy.api.read) || proxy.url || '';
+    },
+    
+    /**
+     * @private Returns array of plain objects with specified properties
+     * of sorters, filters or groupers
+     */
+    _describe: function(items, props) {
+        var result = [];
+        
+        for ( var i = 0, l = items ? items.length : 0; i < l; i++ ) {
+            var item = {};
+            
+            for ( var j = 0; j < props.length; j++ ) {
+                item[ props[j] ] = items[i][ props[j] ];
+            };
+            
+            result.push(item);
+        };
+        
+        return result;
+    },
+    
+    /**
+     * @private Returns callback that invalidates cache and calls
+     * the original callback
+     */
+    _invalidate_after: function(callback, scope) {
+        var me = this;
+        
+        return function(operation) {
+            me.invalidate();
+            
+            Ext.callback(callback, scope || me, [operation]);
+        };
+    }
+});
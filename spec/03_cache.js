@@ -4,6 +4,14 @@
  * @css ../extjs/resources/css/ext-all.css
  * @script ../extjs/ext-debug-w-comments.js
  *
+ * @script ../ux/cache/Storage.js
+ * @script ../ux/cache/MemoryStorage.js
+ * @script ../ux/cache/WebStorage.js
+ * @script ../ux/cache/IndexedDBStorage.js
+ * @script ../ux/cache/OverflowStorage.js
+ * @script ../ux/cache/Compressor.js
+ * @script ../ux/cache/Cipher.js
+ * @script ../ux/cache/Transaction.js
  * @script ../ux/Cache.js
  */
 
@@ -28,19 +36,16 @@ describe('Ext.ux.Cache test suite', function() {
         
         expect(cache).toBeDefined();
         
-        if ( Ext.isIE6 || Ext.isIE7 )
-            expect(cache.keyPrefix).toEqual('')
-        else
-            expect(cache.keyPrefix).toEqual('Ext.ux.test.Cache.');
+        expect(cache.keyPrefix).toEqual('Ext.ux.test.Cache.');
         
         if ( Ext.isIE6 || Ext.isIE7 ) {     // No Web Storage
-            expect( cache.storage.remainingSpace ).toBeUndefined(); // No such property
+            expect( cache.storage instanceof Ext.ux.cache.MemoryStorage ).toBeTruthy();
         }
         else if ( Ext.isIE8 ) {
-            expect ( cache.storage.remainingSpace > 0 ).toBeTruthy();
+            expect ( cache.storage.store.remainingSpace > 0 ).toBeTruthy();
         }
         else {
-            expect( cache.storage === window.localStorage ).toBeTruthy();
+            expect( cache.storage.store === window.localStorage ).toBeTruthy();
         };
     });
     
@@ -65,11 +70,6 @@ describe('Ext.ux.Cache test suite', function() {
             toThrow('Cache cannot store function type values');
     });
     
-    it('should not cache regexps', function() {
-        expect(function(){ cache.set('foo', /foo!/) }).
-            toThrow('Cache cannot store regexp type values');
-    });
-    
     it('should not cache DOM elements', function() {
         var el = Ext.getBody().createChild({ id: 'testDiv' }).dom;
         
@@ -97,14 +97,14 @@ describe('Ext.ux.Cache test suite', function() {
                 value = 'foo';
             
             cache.set(key, value);
-            expect( cache.storage.items[key] ).toEqual({ value: value, expires: undefined });
+            expect( cache.storage.getItem(cache.keyPrefix + key) ).toEqual({ value: value, expires: undefined });
             cache.remove(key);
-            expect( cache.storage.items[key] ).toEqual( null );
+            expect( cache.storage.getItem(cache.keyPrefix + key) ).toEqual( null );
             
             cache.set(key, value, -1);
-            expect( cache.storage.items[key] ).toEqual({ value: value, expires: undefined });
+            expect( cache.storage.getItem(cache.keyPrefix + key) ).toEqual({ value: value, expires: undefined });
             cache.remove(key);
-            expect( cache.storage.items[key] ).toEqual( null );
+            expect( cache.storage.getItem(cache.keyPrefix + key) ).toEqual( null );
         });
         
         it('should be able to clear the cache', function() {
@@ -113,7 +113,7 @@ describe('Ext.ux.Cache test suite', function() {
             
             cache.clear();
             
-            expect( Ext.Object.getKeys(cache.items).length ).toEqual(0);
+            expect( cache.storage.length ).toEqual(0);
         });
         
         it('should be able to tell if item is there', function() {
@@ -143,15 +143,26 @@ describe('Ext.ux.Cache test suite', function() {
         it('should be able to add and remove items', function() {
             var key   = 'test_add_remove',
                 value = 'foo',
-                pfx   = cache.keyPrefix;
+                pfx   = cache.keyPrefix,
+                frozen;
             
             cache.set(key, value);
-            expect( Ext.JSON.decode(window.localStorage.getItem(pfx + key)) ).toEqual({
+            
+            frozen = Ext.JSON.decode(window.localStorage.getItem(pfx + key));
+            expect( typeof frozen.checksum ).toEqual('number');
+            delete frozen.checksum;
+            
+            // Web Storage items carry creation time for eviction
+            expect( frozen.value.created.type ).toEqual('number');
+            delete frozen.value.created;
+            
+            expect( frozen ).toEqual({
                 type: 'object',
                 value: {
                     value:   { type: 'string', value: value },
                     expires: { type: 'undefined' }
-                }
+                },
+                format: 1
             });
             cache.remove(key);
             expect( window.localStorage.getItem(pfx + key) ).toEqual( null );
@@ -435,7 +446,7 @@ describe('Ext.ux.Cache test suite', function() {
         it('should store permanent items in memory', function() {
             cache.set('ie_permanent_item', 'foo');
             
-            var cache_item = cache.storage.items['ie_permanent_item'];
+            var cache_item = cache.storage.getItem(cache.keyPrefix + 'ie_permanent_item');
             
             expect(cache_item).toEqual({
                 value: 'foo',
@@ -446,7 +457,7 @@ describe('Ext.ux.Cache test suite', function() {
         it('should store volatile items in memory', function() {
             cache.set('ie_volatile_item', 'bar', 1000);
             
-            var cache_item = cache.storage.items['ie_volatile_item'],
+            var cache_item = cache.storage.getItem(cache.keyPrefix + 'ie_volatile_item'),
                 expiration = Ext.Date.add(new Date(), Ext.Date.SECOND, 1);
             
             expect(cache_item).toEqual({
@@ -463,13 +474,2325 @@ describe('Ext.ux.Cache test suite', function() {
             
             cache_item = Ext.JSON.decode(cache_item);
             
+            expect( typeof cache_item.checksum ).toEqual('number');
+            delete cache_item.checksum;
+            
+            expect( cache_item.value.created.type ).toEqual('number');
+            delete cache_item.value.created;
+            
             expect(cache_item).toEqual({
                 type: 'object',
                 value: {
                     value: { value: 'foo', type: 'string' },
                     expires: { type: 'undefined' }
+                },
+                format: 1
+            });
+        });
+    };
+    
+    /*
+        Size limits and eviction
+    */
+    it('should not keep more than maxItems', function() {
+        var bounded = Ext.create('Ext.ux.Cache', {
+            keyPrefix: 'Ext.ux.test.Bounded.',
+            storage:   'permanent',
+            maxItems:  2
+        });
+        
+        bounded.set('foo', 1);
+        bounded.set('bar', 2);
+        bounded.set('qux', 3);
+        
+        expect( Ext.Array.sort(bounded.keys()) ).toEqual(['bar', 'qux']);
+    });
+    
+    it('should evict least recently used items', function() {
+        var bounded = Ext.create('Ext.ux.Cache', {
+            keyPrefix: 'Ext.ux.test.LRU.',
+            storage:   'permanent',
+            maxItems:  2
+        });
+        
+        bounded.set('foo', 1);
+        bounded.set('bar', 2);
+        bounded.get('foo');
+        bounded.set('qux', 3);
+        
+        expect( bounded.has('foo') ).toBeTruthy();
+        expect( bounded.has('bar') ).toBeFalsy();
+        expect( bounded.has('qux') ).toBeTruthy();
+    });
+    
+    it('should evict least frequently used items', function() {
+        var bounded = Ext.create('Ext.ux.Cache', {
+            keyPrefix:      'Ext.ux.test.LFU.',
+            storage:        'permanent',
+            maxItems:       2,
+            evictionPolicy: 'lfu'
+        });
+        
+        bounded.set('foo', 1);
+        bounded.set('bar', 2);
+        bounded.get('foo');
+        bounded.get('foo');
+        bounded.get('bar');
+        bounded.set('qux', 3);
+        
+        expect( Ext.Array.sort(bounded.keys()) ).toEqual(['foo', 'qux']);
+    });
+    
+    it('should evict items soonest to expire', function() {
+        var bounded = Ext.create('Ext.ux.Cache', {
+            keyPrefix:      'Ext.ux.test.Expires.',
+            storage:        'permanent',
+            maxItems:       2,
+            evictionPolicy: 'expires'
+        });
+        
+        bounded.set('foo', 1, 60000);
+        bounded.set('bar', 2, 1000);
+        bounded.set('qux', 3);
+        
+        expect( Ext.Array.sort(bounded.keys()) ).toEqual(['foo', 'qux']);
+    });
+    
+    it('should keep total size under maxBytes', function() {
+        var bounded = Ext.create('Ext.ux.Cache', {
+            keyPrefix:      'Ext.ux.test.Bytes.',
+            storage:        'permanent',
+            maxBytes:       1024,
+            evictionPolicy: 'fifo'
+        });
+        
+        for ( var i = 0; i < 20; i++ ) {
+            bounded.set('item_' + i, 'abcdefghijklmnopqrstuvwxyz');
+        };
+        
+        expect( bounded.keys().length < 20 ).toBeTruthy();
+        expect( bounded.has('item_19') ).toBeTruthy();
+        expect( bounded.has('item_0')  ).toBeFalsy();
+        
+        expect(function(){ bounded.set('huge', new Array(1024).join('x')) }).
+            toThrow('Cache item is larger than maxBytes');
+        
+        // Old value is kept when the new one doesn't fit
+        expect(function(){ bounded.set('item_19', new Array(1024).join('x')) }).
+            toThrow('Cache item is larger than maxBytes');
+        
+        expect( bounded.get('item_19') ).toEqual('abcdefghijklmnopqrstuvwxyz');
+    });
+    
+    it('should not accept unknown eviction policy', function() {
+        expect(function(){ Ext.create('Ext.ux.Cache', { evictionPolicy: 'random' }) }).
+            toThrow('Invalid eviction policy');
+    });
+    
+    /*
+        Storage quota
+    */
+    if ( !Ext.isIE6 && !Ext.isIE7 ) {
+        var createFullStorage = function(capacity, maxLength) {
+            var store = {
+                items:  {},
+                keys:   [],
+                length: 0,
+                
+                key: function(index) {
+                    return this.keys[index];
+                },
+                
+                getItem: function(key) {
+                    var value = this.items[key];
+                    
+                    return value === undefined ? null : value;
+                },
+                
+                setItem: function(key, value) {
+                    var me = this;
+                    
+                    if ( maxLength && value.length > maxLength )
+                        throw { name: 'QuotaExceededError', code: 22 };
+                    
+                    if ( me.items[key] === undefined ) {
+                        if ( me.length >= capacity )
+                            throw { name: 'QuotaExceededError', code: 22 };
+                        
+                        me.keys.push(key);
+                        me.length++;
+                    };
+                    
+                    me.items[key] = value;
+                },
+                
+                removeItem: function(key) {
+                    var me = this;
+                    
+                    if ( me.items[key] === undefined ) return;
+                    
+                    Ext.Array.remove(me.keys, key);
+                    delete me.items[key];
+                    me.length--;
+                }
+            };
+            
+            return Ext.create('Ext.ux.cache.WebStorage', { store: store });
+        };
+        
+        it('should purge expired items when storage is full', function() {
+            var full  = Ext.create('Ext.ux.Cache', { storage: 'permanent' }),
+                fired = 0;
+            
+            full.storage = createFullStorage(2);
+            full.on('quotaexceeded', function(c, key) {
+                expect(key).toEqual('qux');
+                fired++;
+            });
+            
+            full.set('foo', 'mumbles', -1);
+            full.set('bar', 'splurge');
+            full.set('qux', 'blergh');
+            
+            expect(fired).toEqual(1);
+            expect( Ext.Array.sort(full.keys()) ).toEqual(['bar', 'qux']);
+            expect( full.webStorage ).toBeTruthy();
+        });
+        
+        it('should evict items by policy when storage is full', function() {
+            var full = Ext.create('Ext.ux.Cache', {
+                    storage:        'permanent',
+                    evictionPolicy: 'lru',
+                    trackAccess:    true
+                }),
+                evicted = [];
+            
+            full.storage = createFullStorage(3);
+            full.on('evict', function(c, key) { evicted.push(key) });
+            
+            full.set('foo', 'mumbles');
+            full.set('bar', 'splurge');
+            full.set('baz', 'ugh');
+            
+            // Most recently used item was stored first
+            full.get('bar');
+            full.get('baz');
+            full.get('foo');
+            full.get('foo');
+            
+            full.set('qux', 'blergh');
+            
+            expect( evicted ).toEqual([ 'bar' ]);
+            expect( Ext.Array.sort(full.keys()) ).toEqual([ 'baz', 'foo', 'qux' ]);
+            expect( full.webStorage ).toBeTruthy();
+        });
+        
+        it('should evict oldest items when access is not tracked', function() {
+            var full    = Ext.create('Ext.ux.Cache', { storage: 'permanent' }),
+                storage = createFullStorage(3),
+                evicted = [],
+                writes  = 0,
+                setItem = storage.setItem;
+            
+            full.storage = storage;
+            full.on('evict', function(c, key) { evicted.push(key) });
+            
+            full.set('foo', 'mumbles');
+            full.set('bar', 'splurge');
+            full.set('baz', 'ugh');
+            
+            // Reads must not write, or they would run into quota errors too
+            storage.setItem = function() {
+                writes++;
+                return setItem.apply(this, arguments);
+            };
+            
+            full.get('foo');
+            full.get('bar');
+            
+            expect( writes ).toEqual(0);
+            
+            full.set('qux', 'blergh');
+            
+            expect( evicted ).toEqual([ 'foo' ]);
+            expect( Ext.Array.sort(full.keys()) ).toEqual([ 'bar', 'baz', 'qux' ]);
+        });
+        
+        it('should not evict items when new one cannot fit anyway', function() {
+            var full    = Ext.create('Ext.ux.Cache', { storage: 'permanent' }),
+                storage = createFullStorage(10, 500),
+                pfx     = full.keyPrefix,
+                huge    = new Array(1000).join('x'),
+                evicted = 0,
+                grid;
+            
+            full.storage = storage;
+            full.on('evict', function() { evicted++ });
+            
+            full.set('foo', 'mumbles');
+            full.set('bar', 'splurge');
+            
+            grid = full.namespace('grid');
+            grid.on('evict', function() { evicted++ });
+            grid.set('baz', huge);
+            
+            expect( evicted ).toEqual(0);
+            expect( grid.get('baz') ).toEqual(huge);
+            expect( storage.getItem(grid.keyPrefix + 'baz') ).toBeNull();
+            
+            // Parent cache keeps the items it has, and its namespaces see the same
+            expect( full.storage instanceof Ext.ux.cache.OverflowStorage ).toBeTruthy();
+            expect( grid.storage ).toBe(full.storage);
+            expect( full.webStorage ).toBeTruthy();
+            expect( Ext.Array.sort(full.keys()) ).toEqual([ 'bar', 'foo' ]);
+            expect( full.get('foo') ).toEqual('mumbles');
+            
+            // Items that fit are still stored in Web Storage
+            full.set('qux', 'blergh');
+            full.set('huge', huge);
+            
+            expect( storage.getItem(pfx + 'qux') ).toBeTruthy();
+            expect( storage.getItem(pfx + 'huge') ).toBeNull();
+            expect( Ext.Array.sort(full.keys()) ).toEqual([ 'bar', 'foo', 'huge', 'qux' ]);
+            
+            full.clear();
+            
+            expect( grid.has('baz') ).toBeFalsy();
+            expect( full.keys() ).toEqual([]);
+            expect( storage.getLength() ).toEqual(0);
+        });
+        
+        it('should fall back to memory when storage is full', function() {
+            var full = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+            
+            full.storage = createFullStorage(0);
+            
+            expect(function(){ full.set('foo', 'bar') }).not.toThrow();
+            expect( full.storage instanceof Ext.ux.cache.OverflowStorage ).toBeTruthy();
+            expect( full.get('foo') ).toEqual('bar');
+            
+            full.clear();
+        });
+    };
+    
+    /*
+        Expiration sweeps
+    */
+    it('should purge expired items', function() {
+        cache.set('purge_foo', 'foo', -1);
+        cache.set('purge_bar', 'bar', -1);
+        cache.set('purge_qux', 'qux');
+        
+        expect( cache.purgeExpired() ).toEqual(2);
+        expect( cache.keys() ).toEqual(['purge_qux']);
+    });
+    
+    it('should purge expired items on construction', function() {
+        cache.set('sweep_foo', 'foo', -1);
+        
+        var swept = Ext.create('Ext.ux.Cache', {
+            keyPrefix:     cache.keyPrefix,
+            storage:       'permanent',
+            sweepInterval: 60000
+        });
+        
+        expect( swept.keys() ).toEqual([]);
+        
+        swept.destroy();
+    });
+    
+    it('should purge expired items periodically', function() {
+        var swept;
+        
+        runs(function() {
+            swept = Ext.create('Ext.ux.Cache', {
+                keyPrefix:     cache.keyPrefix,
+                storage:       'permanent',
+                sweepInterval: 50
+            });
+            
+            swept.set('sweep_bar', 'bar', 20);
+        });
+        
+        waits(200);
+        
+        runs(function() {
+            expect( swept.keys() ).toEqual([]);
+            
+            swept.destroy();
+        });
+    });
+    
+    /*
+        Events
+    */
+    it('should fire set events', function() {
+        var events = [];
+        
+        cache.on({
+            beforeset: function(c, key, value, old) { events.push(['beforeset', key, value, old]) },
+            set:       function(c, key, value, old) { events.push(['set',       key, value, old]) }
+        });
+        
+        cache.set('event_foo', 'bar');
+        cache.set('event_foo', 'qux');
+        
+        expect(events).toEqual([
+            ['beforeset', 'event_foo', 'bar', undefined],
+            ['set',       'event_foo', 'bar', undefined],
+            ['beforeset', 'event_foo', 'qux', 'bar'],
+            ['set',       'event_foo', 'qux', 'bar']
+        ]);
+        
+        cache.clearListeners();
+    });
+    
+    it('should allow beforeset listener to cancel the write', function() {
+        cache.set('veto_foo', 'bar');
+        
+        cache.on('beforeset', function() { return false });
+        
+        expect( cache.set('veto_foo', 'qux') ).toBeUndefined();
+        expect( cache.get('veto_foo') ).toEqual('bar');
+        
+        cache.clearListeners();
+    });
+    
+    it('should fire remove, expire and clear events', function() {
+        var events = [];
+        
+        cache.on({
+            remove: function(c, key, old) { events.push(['remove', key, old]) },
+            expire: function(c, key, old) { events.push(['expire', key, old]) },
+            clear:  function(c)           { events.push(['clear'])            }
+        });
+        
+        cache.set('event_foo', 'bar');
+        cache.set('event_qux', 'splurge', -1);
+        
+        cache.remove('event_foo');
+        cache.remove('event_foo');
+        cache.get('event_qux');
+        cache.clear();
+        
+        expect(events).toEqual([
+            ['remove', 'event_foo', 'bar'],
+            ['expire', 'event_qux', 'splurge'],
+            ['clear']
+        ]);
+        
+        cache.clearListeners();
+    });
+    
+    it('should fire evict events', function() {
+        var evicted = [],
+            bounded = Ext.create('Ext.ux.Cache', {
+                keyPrefix: 'Ext.ux.test.Evict.',
+                storage:   'permanent',
+                maxItems:  1,
+                listeners: {
+                    evict: function(c, key, old) { evicted.push([key, old]) }
+                }
+            });
+        
+        bounded.set('foo', 'bar');
+        bounded.set('qux', 'mumbles');
+        
+        expect(evicted).toEqual([ ['foo', 'bar'] ]);
+    });
+    
+    /*
+        Cross-tab synchronization
+    */
+    if ( !Ext.isIE6 && !Ext.isIE7 ) {
+        it('should relay changes made in other tabs', function() {
+            var other  = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: cache.keyPrefix,
+                    storage:   'permanent'
+                }),
+                pfx    = cache.keyPrefix,
+                events = [];
+            
+            cache.on('remotechange', function(c, key, value, old) {
+                events.push([key, value, old]);
+            });
+            
+            other.set('remote_foo', { bar: 'qux' });
+            
+            // Browsers do not fire storage events in the window that made the change
+            cache._on_storage({
+                key:         pfx + 'remote_foo',
+                newValue:    window.localStorage.getItem(pfx + 'remote_foo'),
+                oldValue:    null,
+                storageArea: window.localStorage
+            });
+            
+            cache._on_storage({
+                key:         'some_other_key',
+                newValue:    'mumbles',
+                oldValue:    null,
+                storageArea: window.localStorage
+            });
+            
+            cache._on_storage({
+                key:         pfx + 'remote_foo',
+                newValue:    null,
+                oldValue:    window.localStorage.getItem(pfx + 'remote_foo'),
+                storageArea: window.localStorage
+            });
+            
+            expect(events).toEqual([
+                ['remote_foo', { bar: 'qux' }, undefined],
+                ['remote_foo', undefined, { bar: 'qux' }]
+            ]);
+            
+            cache.clearListeners();
+            other.destroy();
+        });
+    };
+    
+    /*
+        Memory storage
+    */
+    it('should keep items of memory caches separate', function() {
+        var foo = Ext.create('Ext.ux.Cache', { storage: 'memory', keyPrefix: 'foo.' }),
+            bar = Ext.create('Ext.ux.Cache', { storage: 'memory', keyPrefix: 'bar.' });
+        
+        expect( foo.webStorage ).toBeFalsy();
+        expect( foo.storage instanceof Ext.ux.cache.MemoryStorage ).toBeTruthy();
+        expect( foo.storage === bar.storage ).toBeFalsy();
+        
+        foo.set('qux', 'mumbles');
+        bar.set('qux', 'splurge');
+        
+        expect( foo.storage.getItem('foo.qux') ).toEqual({ value: 'mumbles', expires: undefined });
+        expect( bar.storage.getItem('bar.qux') ).toEqual({ value: 'splurge', expires: undefined });
+        
+        foo.clear();
+        
+        expect( foo.keys() ).toEqual([]);
+        expect( bar.get('qux') ).toEqual('splurge');
+    });
+    
+    it('should work without config', function() {
+        var dflt = Ext.create('Ext.ux.Cache');
+        
+        dflt.set('foo', 'bar');
+        
+        expect( dflt.get('foo') ).toEqual('bar');
+        
+        dflt.clear();
+    });
+    
+    /*
+        Storage backends
+    */
+    it('should accept storage backend instance', function() {
+        var storage = Ext.create('Ext.ux.cache.MemoryStorage'),
+            custom  = Ext.create('Ext.ux.Cache', { storage: storage });
+        
+        expect( custom.storage === storage ).toBeTruthy();
+        
+        custom.set('foo', 'bar');
+        
+        expect( storage.getLength() ).toEqual(1);
+        expect( custom.get('foo') ).toEqual('bar');
+    });
+    
+    it('should not accept unknown storage type', function() {
+        expect(function(){ Ext.create('Ext.ux.Cache', { storage: 'floppy' }) }).
+            toThrow('Invalid storage type');
+    });
+    
+    if ( Ext.ux.cache.IndexedDBStorage.isSupported() ) {
+        it('should store items in IndexedDB', function() {
+            var dbName = 'Ext.ux.test.Cache',
+                first, second;
+            
+            runs(function() {
+                first = Ext.create('Ext.ux.Cache', {
+                    storage: Ext.create('Ext.ux.cache.IndexedDBStorage', { dbName: dbName })
+                });
+                
+                // Writes made before the database is loaded are not lost
+                first.clear();
+                first.set('foo', { bar: [ 'qux', new Date(0) ] });
+                
+                expect( first.get('foo') ).toEqual({ bar: [ 'qux', new Date(0) ] });
+            });
+            
+            waitsFor(function() { return first.storage.isReady() }, 'IndexedDB to load', 1000);
+            
+            runs(function() {
+                expect( first.get('foo') ).toEqual({ bar: [ 'qux', new Date(0) ] });
+                
+                second = Ext.create('Ext.ux.Cache', {
+                    storage: Ext.create('Ext.ux.cache.IndexedDBStorage', { dbName: dbName })
+                });
+            });
+            
+            waitsFor(function() { return second.storage.isReady() }, 'IndexedDB to load', 1000);
+            
+            runs(function() {
+                expect( second.keys() ).toEqual(['foo']);
+                expect( second.get('foo') ).toEqual({ bar: [ 'qux', new Date(0) ] });
+                
+                second.clear();
+                first.storage.destroy();
+                second.storage.destroy();
+            });
+        });
+        
+        it('should remove items before IndexedDB is loaded', function() {
+            var dbName = 'Ext.ux.test.Early',
+                create, first, second, third;
+            
+            create = function() {
+                return Ext.create('Ext.ux.Cache', {
+                    storage: Ext.create('Ext.ux.cache.IndexedDBStorage', { dbName: dbName })
+                });
+            };
+            
+            runs(function() {
+                first = create();
+                first.set('foo', 'bar');
+                first.set('baz', 'qux');
+                first.namespace('grid').set('foo', 'splurge');
+            });
+            
+            waitsFor(function() { return first.storage.isReady() }, 'IndexedDB to load', 1000);
+            
+            runs(function() {
+                first.storage.destroy();
+                
+                second = create();
+                
+                expect( second.storage.isReady() ).toBeFalsy();
+                
+                second.remove('foo');
+                second.namespace('grid').clear();
+                second.namespace('grid').set('new', 'blergh');
+            });
+            
+            waitsFor(function() { return second.storage.isReady() }, 'IndexedDB to load', 1000);
+            
+            runs(function() {
+                expect( second.keys() ).toEqual([ 'baz' ]);
+                expect( second.namespace('grid').keys() ).toEqual([ 'new' ]);
+                
+                second.storage.destroy();
+                
+                third = create();
+            });
+            
+            waitsFor(function() { return third.storage.isReady() }, 'IndexedDB to load', 1000);
+            
+            runs(function() {
+                expect( third.keys() ).toEqual([ 'baz' ]);
+                expect( third.namespace('grid').keys() ).toEqual([ 'new' ]);
+                
+                third.clear();
+                third.storage.destroy();
+            });
+        });
+        
+        it('should report errors of saving to IndexedDB', function() {
+            var keys = [],
+                storage, idb;
+            
+            runs(function() {
+                storage = Ext.create('Ext.ux.cache.IndexedDBStorage', {
+                    dbName:    'Ext.ux.test.Errors',
+                    listeners: {
+                        error: function(s, error, key) { keys.push(key) }
+                    }
+                });
+                
+                idb = Ext.create('Ext.ux.Cache', { storage: storage });
+            });
+            
+            waitsFor(function() { return storage.isReady() }, 'IndexedDB to load', 1000);
+            
+            runs(function() {
+                // Transaction fails to commit, as it does when quota is exceeded
+                storage._send = function(store, op) {
+                    Ext.ux.cache.IndexedDBStorage.prototype._send.apply(this, arguments);
+                    
+                    if ( op.method === 'setItem' ) store.transaction.abort();
+                };
+                
+                expect(function(){ idb.set('foo', 'bar') }).not.toThrow();
+            });
+            
+            waitsFor(function() { return keys.length > 0 }, 'error event', 1000);
+            
+            runs(function() {
+                expect( keys ).toEqual([ idb.keyPrefix + 'foo' ]);
+                expect( storage.error ).toBeTruthy();
+                expect( idb.get('foo') ).toEqual('bar');
+                
+                delete storage._send;
+                
+                idb.clear();
+                storage.destroy();
+            });
+        });
+        
+        it('should keep several object stores in one database', function() {
+            var dbName = 'Ext.ux.test.Stores',
+                values = [],
+                caches, reopened;
+            
+            runs(function() {
+                caches = Ext.Array.map([ 'first', 'second' ], function(name) {
+                    return Ext.create('Ext.ux.Cache', {
+                        storage: Ext.create('Ext.ux.cache.IndexedDBStorage', {
+                            dbName:    dbName,
+                            storeName: name
+                        })
+                    });
+                });
+                
+                caches[0].set('foo', 'bar');
+                caches[1].set('foo', 'baz');
+                
+                caches[0].getAsync('foo', { success: function(v) { values.push(v) } });
+                caches[1].getAsync('foo', { success: function(v) { values.push(v) } });
+            });
+            
+            waitsFor(function() { return values.length === 2 }, 'IndexedDB to load', 2000);
+            
+            runs(function() {
+                expect( values.sort() ).toEqual([ 'bar', 'baz' ]);
+                expect( caches[0].storage.error ).toBeUndefined();
+                expect( caches[1].storage.error ).toBeUndefined();
+                
+                reopened = Ext.create('Ext.ux.Cache', {
+                    storage: Ext.create('Ext.ux.cache.IndexedDBStorage', {
+                        dbName:    dbName,
+                        storeName: 'second'
+                    })
+                });
+            });
+            
+            waitsFor(function() { return reopened.storage.isReady() }, 'IndexedDB to load', 2000);
+            
+            runs(function() {
+                expect( reopened.get('foo') ).toEqual('baz');
+                
+                Ext.each(caches.concat(reopened), function(c) {
+                    c.clear();
+                    c.storage.destroy();
+                });
+            });
+        });
+    };
+    
+    /*
+        Asynchronous API
+    */
+    it('should set and get items asynchronously with callbacks', function() {
+        var result = {};
+        
+        runs(function() {
+            cache.setAsync('async_foo', { bar: 'qux' }, {
+                success: function(value) {
+                    result.set = value;
+                    
+                    cache.getAsync('async_foo', {
+                        callback: function(value, success) {
+                            result.get     = value;
+                            result.success = success;
+                        }
+                    });
                 }
             });
+            
+            expect(result).toEqual({});     // Not called synchronously
+        });
+        
+        waitsFor(function() { return result.success !== undefined }, 'callbacks', 1000);
+        
+        runs(function() {
+            expect(result).toEqual({
+                set:     { bar: 'qux' },
+                get:     { bar: 'qux' },
+                success: true
+            });
+        });
+    });
+    
+    it('should report errors to failure callback', function() {
+        var error;
+        
+        runs(function() {
+            cache.setAsync('async_foo', undefined, 1000, {
+                failure: function(e) { error = e }
+            });
+        });
+        
+        waitsFor(function() { return error !== undefined }, 'failure callback', 1000);
+        
+        runs(function() {
+            expect(error.msg || error.message).toEqual('Cache value must be defined primitive, object or null');
+        });
+    });
+    
+    if ( typeof Promise !== 'undefined' ) {
+        it('should return Promises from asynchronous methods', function() {
+            var keys;
+            
+            runs(function() {
+                cache.setAsync('async_foo', 'bar').then(function() {
+                    return cache.removeAsync('async_foo');
+                }).then(function() {
+                    return cache.keysAsync();
+                }).then(function(k) {
+                    keys = k;
+                });
+            });
+            
+            waitsFor(function() { return keys !== undefined }, 'Promise chain', 1000);
+            
+            runs(function() {
+                expect(keys).toEqual([]);
+            });
+        });
+    };
+    
+    /*
+        Fetch-through
+    */
+    it('should load missing values and coalesce concurrent fetches', function() {
+        var calls   = 0,
+            results = [],
+            loader;
+        
+        loader = function(key, success) {
+            calls++;
+            
+            Ext.defer(function() { success({ key: key }) }, 20);
+        };
+        
+        runs(function() {
+            var collect = function(value) { results.push(value) };
+            
+            cache.fetch('fetch_foo', loader, 60000, { success: collect });
+            cache.fetch('fetch_foo', loader, 60000, { success: collect });
+        });
+        
+        waitsFor(function() { return results.length == 2 }, 'loader', 1000);
+        
+        runs(function() {
+            expect(calls).toEqual(1);
+            expect(results).toEqual([ { key: 'fetch_foo' }, { key: 'fetch_foo' } ]);
+            expect( cache.get('fetch_foo') ).toEqual({ key: 'fetch_foo' });
+            
+            cache.fetch('fetch_foo', loader, { success: function(value) { results.push(value) } });
+        });
+        
+        waitsFor(function() { return results.length == 3 }, 'cached value', 1000);
+        
+        runs(function() {
+            expect(calls).toEqual(1);
+        });
+    });
+    
+    it('should report loader failures', function() {
+        var errors = [];
+        
+        runs(function() {
+            cache.fetch('fetch_bar', function(key, success, failure) {
+                failure('oops');
+            }, {
+                callback: function(value, success, error) { errors.push([success, error]) }
+            });
+        });
+        
+        waitsFor(function() { return errors.length }, 'failure', 1000);
+        
+        runs(function() {
+            expect(errors).toEqual([ [false, 'oops'] ]);
+            expect( cache.has('fetch_bar') ).toBeFalsy();
+        });
+    });
+    
+    /*
+        Sliding expiration
+    */
+    it('should not accept sliding expiration without modifier', function() {
+        expect(function(){ cache.set('foo', 'bar', undefined, { sliding: true }) }).
+            toThrow('Sliding expiration needs expiration modifier');
+    });
+    
+    it('should push sliding expiration on every read', function() {
+        var key = 'sliding_foo',
+            ttl = 200;
+        
+        runs(function() {
+            cache.set(key, 'bar', ttl, { sliding: true });
+        });
+        
+        waits(ttl/2);
+        
+        runs(function() {
+            expect( cache.get(key) ).toEqual('bar');
+        });
+        
+        waits(ttl/2 + ttl*0.2);
+        
+        runs(function() {
+            // Would have expired by now without the read above
+            expect( cache.get(key) ).toEqual('bar');
+        });
+        
+        waits(ttl + ttl*0.2);
+        
+        runs(function() {
+            expect( cache.get(key) ).toBeUndefined();
+        });
+    });
+    
+    /*
+        Stale-while-revalidate
+    */
+    it('should return stale items and signal staleness', function() {
+        var events = [],
+            calls  = [];
+        
+        cache.on('stale', function(c, key, value) { events.push([key, value]) });
+        
+        cache.set('stale_foo', 'bar', 60000, { staleAfter: -1 });
+        cache.set('stale_qux', 'mumbles', 60000, { staleAfter: 60000 });
+        
+        expect( cache.get('stale_foo', { stale: function(key, value) { calls.push([key, value]) } }) ).
+            toEqual('bar');
+        expect( cache.get('stale_qux', { stale: function(key, value) { calls.push([key, value]) } }) ).
+            toEqual('mumbles');
+        
+        expect(events).toEqual([ ['stale_foo', 'bar'] ]);
+        expect(calls).toEqual([ ['stale_foo', 'bar'] ]);
+        
+        cache.clearListeners();
+    });
+    
+    it('should not accept wrong staleness modifier', function() {
+        expect(function(){ cache.set('foo', 'bar', 1000, { staleAfter: 'qux' }) }).
+            toThrow('Cache staleness modifier must be a number of milliseconds or Date object');
+    });
+    
+    it('should revalidate stale items in background when fetching', function() {
+        var results = [],
+            calls   = 0;
+        
+        runs(function() {
+            cache.set('stale_bar', 'old', 60000, { staleAfter: -1 });
+            
+            cache.fetch('stale_bar', function(key, success) {
+                calls++;
+                Ext.defer(function() { success('new') }, 20);
+            }, 60000, {
+                staleAfter: 60000,
+                success:    function(value) { results.push(value) }
+            });
+        });
+        
+        waitsFor(function() { return calls && cache.get('stale_bar') === 'new' }, 'revalidation', 1000);
+        
+        runs(function() {
+            expect(results).toEqual(['old']);
+            expect(calls).toEqual(1);
+        });
+    });
+    
+    /*
+        Custom types
+    */
+    it('should work with regexps', function() {
+        cache.set('regexp', { re: /foo+\/bar/gi });
+        
+        var re = cache.get('regexp').re;
+        
+        expect( re instanceof RegExp ).toBeTruthy();
+        expect( re.source ).toEqual('foo+\\/bar');
+        expect( re.global && re.ignoreCase && !re.multiline ).toBeTruthy();
+    });
+    
+    if ( window.Float64Array ) {
+        it('should work with typed arrays', function() {
+            cache.set('typed', [ new Uint8Array([1, 2, 255]), new Float64Array([0.5, -Infinity]) ]);
+            
+            var arrays = cache.get('typed');
+            
+            expect( arrays[0] instanceof Uint8Array ).toBeTruthy();
+            expect( Array.prototype.slice.call(arrays[0]) ).toEqual([1, 2, 255]);
+            expect( arrays[1] instanceof Float64Array ).toBeTruthy();
+            expect( Array.prototype.slice.call(arrays[1]) ).toEqual([0.5, -Infinity]);
+        });
+    };
+    
+    if ( window.Map && window.Set ) {
+        it('should work with Maps and Sets', function() {
+            var map = new Map(),
+                set = new Set(['foo', 42]),
+                result;
+            
+            map.set('when', new Date(0));
+            map.set(1, { bar: 'qux' });
+            
+            cache.set('map_set', { map: map, set: set });
+            
+            result = cache.get('map_set');
+            
+            expect( result.map instanceof Map ).toBeTruthy();
+            expect( result.map.get('when') ).toEqual(new Date(0));
+            expect( result.map.get(1) ).toEqual({ bar: 'qux' });
+            expect( result.set instanceof Set ).toBeTruthy();
+            expect( result.set.has('foo') && result.set.has(42) ).toBeTruthy();
+        });
+    };
+    
+    if ( Ext.ClassManager.get('Ext.data.Model') ) {
+        it('should work with models', function() {
+            Ext.define('Ext.ux.test.CachedModel', {
+                extend: 'Ext.data.Model',
+                fields: [ 'id', 'name', { name: 'born', type: 'date' } ]
+            });
+            
+            cache.set('model', Ext.create('Ext.ux.test.CachedModel', {
+                id:   42,
+                name: 'Arthur',
+                born: new Date(0)
+            }));
+            
+            var record = cache.get('model');
+            
+            expect( record instanceof Ext.ux.test.CachedModel ).toBeTruthy();
+            expect( record.getId() ).toEqual(42);
+            expect( record.get('name') ).toEqual('Arthur');
+            expect( record.get('born') ).toEqual(new Date(0));
+        });
+    };
+    
+    it('should work with registered types', function() {
+        var Point = function(x, y) { this.x = x; this.y = y };
+        
+        cache.registerType('point', {
+            test:        function(value) { return value instanceof Point },
+            serialize:   function(value) { return [value.x, value.y] },
+            deserialize: function(data)  { return new Point(data[0], data[1]) }
+        });
+        
+        cache.set('point', [ new Point(1, 2) ]);
+        
+        var points = cache.get('point');
+        
+        expect( points[0] instanceof Point ).toBeTruthy();
+        expect( points[0].x ).toEqual(1);
+        expect( points[0].y ).toEqual(2);
+    });
+    
+    it('should not replace built-in types', function() {
+        expect(function() {
+            cache.registerType('date', {
+                test:        Ext.isDate,
+                serialize:   function(value) { return +value },
+                deserialize: function(data)  { return new Date(data) }
+            });
+        }).toThrow('Cannot replace built-in type date');
+    });
+    
+    /*
+        Shared and circular references
+    */
+    it('should preserve shared references', function() {
+        var shared = { foo: 'bar' },
+            value  = { a: shared, b: [ shared, shared ] },
+            result;
+        
+        cache.set('shared', value);
+        result = cache.get('shared');
+        
+        expect(result).toEqual(value);
+        expect( result.a === result.b[0] ).toBeTruthy();
+        expect( result.a === result.b[1] ).toBeTruthy();
+    });
+    
+    it('should preserve circular references', function() {
+        var parent = { name: 'parent', children: [] },
+            child  = { name: 'child', parent: parent },
+            result;
+        
+        parent.children.push(child);
+        parent.self = parent;
+        
+        cache.set('circular', parent);
+        result = cache.get('circular');
+        
+        expect( result.name ).toEqual('parent');
+        expect( result.self === result ).toBeTruthy();
+        expect( result.children[0].name ).toEqual('child');
+        expect( result.children[0].parent === result ).toBeTruthy();
+    });
+    
+    if ( !Ext.isIE6 && !Ext.isIE7 ) {
+        it('should reject circular references when asked to', function() {
+            var strict = Ext.create('Ext.ux.Cache', {
+                    keyPrefix:     'Ext.ux.test.Strict.',
+                    storage:       'permanent',
+                    allowCircular: false
+                }),
+                shared = [ 'foo' ],
+                cyclic = { foo: 'bar' },
+                result;
+            
+            cyclic.self = cyclic;
+            
+            strict.set('shared', { a: shared, b: shared });
+            result = strict.get('shared');
+            
+            expect( result.a === result.b ).toBeTruthy();
+            expect(function(){ strict.set('cyclic', cyclic) }).
+                toThrow('Cache cannot store values with circular references');
+        });
+    };
+    
+    /*
+        Format and data versions
+    */
+    if ( !Ext.isIE6 && !Ext.isIE7 ) {
+        it('should read items stored before format versioning', function() {
+            var legacy = Ext.create('Ext.ux.Cache', {
+                keyPrefix: 'Ext.ux.test.Legacy.',
+                storage:   'permanent'
+            });
+            
+            localStorage.setItem('Ext.ux.test.Legacy.old', Ext.JSON.encode({
+                type: 'object',
+                value: {
+                    value:   { type: 'string', value: 'foo' },
+                    expires: { type: 'undefined' }
+                }
+            }));
+            
+            expect( legacy.get('old') ).toEqual('foo');
+            
+            legacy.clear();
+        });
+        
+        it('should ignore items stored in unknown format', function() {
+            var future = Ext.create('Ext.ux.Cache', {
+                keyPrefix: 'Ext.ux.test.Future.',
+                storage:   'permanent'
+            });
+            
+            localStorage.setItem('Ext.ux.test.Future.new', Ext.JSON.encode({
+                format: 1000,
+                whatever: 'foo'
+            }));
+            
+            expect( future.get('new') ).toBeUndefined();
+            expect( future.has('new') ).toBeFalsy();
+            
+            // Left for the code that knows the format
+            expect( localStorage.getItem('Ext.ux.test.Future.new') ).toBeTruthy();
+            
+            future.clear();
+        });
+        
+        it('should migrate items stored with older data version', function() {
+            var v1 = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Versioned.',
+                    storage:   'permanent',
+                    version:   1
+                }),
+                calls = [],
+                v2;
+            
+            v1.set('user', { name: 'John Doe' });
+            v1.set('gone', { name: 'Jane Doe' });
+            
+            v2 = Ext.create('Ext.ux.Cache', {
+                keyPrefix: 'Ext.ux.test.Versioned.',
+                storage:   'permanent',
+                version:   2,
+                migrate:   function(version, value) {
+                    calls.push(version);
+                    
+                    if ( value.name === 'Jane Doe' ) return undefined;
+                    
+                    return { first: 'John', last: 'Doe' };
+                }
+            });
+            
+            expect( v2.get('user') ).toEqual({ first: 'John', last: 'Doe' });
+            expect( v2.get('user') ).toEqual({ first: 'John', last: 'Doe' });
+            expect( v2.has('gone') ).toBeFalsy();
+            expect( v2.keys() ).toEqual([ 'user' ]);
+            expect( calls ).toEqual([ 1, 1 ]);
+            
+            // Older code doesn't know how to read newer items, but leaves them alone
+            expect( v1.get('user') ).toBeUndefined();
+            expect( v1.purgeExpired() ).toEqual(0);
+            expect( v2.keys() ).toEqual([ 'user' ]);
+            expect( v2.get('user') ).toEqual({ first: 'John', last: 'Doe' });
+        });
+        
+        it('should ignore items with older data version when not migrating', function() {
+            var unversioned = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Unversioned.',
+                    storage:   'permanent'
+                }),
+                versioned = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Unversioned.',
+                    storage:   'permanent',
+                    version:   1
+                });
+            
+            unversioned.set('foo', 'bar');
+            versioned.set('baz', 'qux');
+            
+            expect( versioned.get('foo') ).toBeUndefined();
+            expect( unversioned.get('baz') ).toBeUndefined();
+            expect( unversioned.get('foo') ).toEqual('bar');
+            expect( versioned.get('baz') ).toEqual('qux');
+        });
+    };
+    
+    /*
+        Compact format and compression
+    */
+    if ( !Ext.isIE6 && !Ext.isIE7 ) {
+        it('should store items in compact format', function() {
+            var compact = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Compact.',
+                    storage:   'permanent',
+                    compact:   true
+                }),
+                frozen;
+            
+            compact.set('foo', { bar: [ 1, 'baz', true, null ], date: new Date(42) });
+            
+            frozen = Ext.JSON.decode(localStorage.getItem('Ext.ux.test.Compact.foo'));
+            delete frozen.checksum;
+            
+            expect( typeof frozen.value.created ).toEqual('number');
+            delete frozen.value.created;
+            
+            expect( frozen ).toEqual({
+                format: 2,
+                value: {
+                    value:   { bar: [ 1, 'baz', true, null ], date: { '$t': 'date', v: 42 } },
+                    expires: { '$t': 'undefined' }
+                }
+            });
+        });
+        
+        it('should round trip values in compact format', function() {
+            var compact = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Compact.',
+                    storage:   'permanent',
+                    compact:   true
+                }),
+                shared = { foo: 'bar' },
+                value  = {
+                    numbers: [ 0, -1.5, NaN, Infinity, -Infinity ],
+                    strings: [ '', 'true', '{"$t":"date"}' ],
+                    tagged:  { '$t': 'date', v: 'not really' },
+                    holes:   [ undefined, null ],
+                    regexp:  /foo/g,
+                    date:    new Date(),
+                    a:       shared,
+                    b:       shared
+                },
+                result;
+            
+            value.self = value;
+            
+            compact.set('tricky', value);
+            result = compact.get('tricky');
+            
+            expect( result.numbers[1] ).toEqual(-1.5);
+            expect( isNaN(result.numbers[2]) ).toBeTruthy();
+            expect( result.numbers[3] ).toEqual(Infinity);
+            expect( result.numbers[4] ).toEqual(-Infinity);
+            expect( result.strings ).toEqual(value.strings);
+            expect( result.tagged ).toEqual(value.tagged);
+            expect( result.holes.length ).toEqual(2);
+            expect( result.holes[0] ).toBeUndefined();
+            expect( result.holes[1] ).toBeNull();
+            expect( result.regexp.toString() ).toEqual('/foo/g');
+            expect( result.date.getTime() ).toEqual( value.date.getTime() );
+            expect( result.a === result.b ).toBeTruthy();
+            expect( result.self === result ).toBeTruthy();
+        });
+        
+        it('should read items in either format', function() {
+            var legacy = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Formats.',
+                    storage:   'permanent'
+                }),
+                compact = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Formats.',
+                    storage:   'permanent',
+                    compact:   true,
+                    compress:  true
+                }),
+                value = { foo: [ 'bar', 42, false ] };
+            
+            legacy.set('legacy', value);
+            compact.set('compact', value);
+            
+            expect( compact.get('legacy') ).toEqual(value);
+            expect( legacy.get('compact') ).toEqual(value);
+        });
+        
+        it('should compress items', function() {
+            var plain = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Plain.',
+                    storage:   'permanent',
+                    compact:   true
+                }),
+                compressed = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Compressed.',
+                    storage:   'permanent',
+                    compact:   true,
+                    compress:  true
+                }),
+                value = [];
+            
+            for ( var i = 0; i < 200; i++ ) {
+                value.push({ id: i, name: 'Person ' + i, active: !(i % 2) });
+            };
+            
+            plain.set('people', value);
+            compressed.set('people', value);
+            
+            expect( compressed.get('people') ).toEqual(value);
+            expect( localStorage.getItem('Ext.ux.test.Compressed.people').length ).
+                toBeLessThan( localStorage.getItem('Ext.ux.test.Plain.people').length / 4 );
+        });
+        
+        it('should not compress items when it does not help', function() {
+            var compressed = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Compressed.',
+                    storage:   'permanent',
+                    compress:  true
+                }),
+                chars = [];
+            
+            // Characters that are seen once are stored as is, taking more space
+            for ( var i = 0; i < 1000; i++ ) {
+                chars.push( String.fromCharCode(0x4e00 + i) );
+            };
+            
+            compressed.set('random', chars.join(''));
+            
+            expect( localStorage.getItem('Ext.ux.test.Compressed.random').charAt(0) ).toEqual('{');
+            expect( compressed.get('random') ).toEqual( chars.join('') );
+        });
+    };
+    
+    it('should compress and decompress strings', function() {
+        var compressor = Ext.ux.cache.Compressor,
+            strings    = [ '', 'a', 'aaaaaaaaaa', 'TOBEORNOTTOBEORTOBEORNOT', '__proto__',
+                           '\u0000ÿĀ￿', 'Ext.ux.Cache кеш 缓存' ],
+            long       = [];
+        
+        for ( var i = 0; i < 1000; i++ ) {
+            long.push( String.fromCharCode(i % 300) );
+        };
+        
+        strings.push( long.join('') );
+        
+        for ( i = 0; i < strings.length; i++ ) {
+            expect( compressor.decompress(compressor.compress(strings[i])) ).toEqual(strings[i]);
+        };
+    });
+    
+    /*
+        Encryption
+    */
+    if ( !Ext.isIE6 && !Ext.isIE7 ) {
+        var encryptionKey = '000102030405060708090a0b0c0d0e0f';
+        
+        it('should encrypt stored items', function() {
+            var encrypted = Ext.create('Ext.ux.Cache', {
+                    keyPrefix:     'Ext.ux.test.Encrypted.',
+                    storage:       'permanent',
+                    encryptionKey: encryptionKey
+                }),
+                frozen;
+            
+            encrypted.set('secret', { password: 'swordfish' });
+            frozen = localStorage.getItem('Ext.ux.test.Encrypted.secret');
+            
+            expect( frozen.indexOf('E:') ).toEqual(0);
+            expect( frozen.indexOf('swordfish') ).toEqual(-1);
+            expect( encrypted.get('secret') ).toEqual({ password: 'swordfish' });
+            expect( encrypted.encryptionKey ).toBeNull();
+        });
+        
+        it('should encrypt storage keys when asked to', function() {
+            var encrypted = Ext.create('Ext.ux.Cache', {
+                    keyPrefix:     'Ext.ux.test.Encrypted.',
+                    storage:       'permanent',
+                    encryptionKey: encryptionKey,
+                    encryptKeys:   true
+                });
+            
+            encrypted.set('secret', 'foo');
+            encrypted.set('another secret', 'bar');
+            
+            for ( var i = 0; i < localStorage.length; i++ ) {
+                expect( localStorage.key(i).indexOf('secret') ).toEqual(-1);
+            };
+            
+            expect( Ext.Array.sort(encrypted.keys()) ).toEqual([ 'another secret', 'secret' ]);
+            expect( encrypted.get('secret') ).toEqual('foo');
+            expect( encrypted.has('another secret') ).toBeTruthy();
+            
+            encrypted.remove('secret');
+            
+            expect( encrypted.keys() ).toEqual([ 'another secret' ]);
+            
+            encrypted.clear();
+            
+            expect( localStorage.length ).toEqual(0);
+        });
+        
+        it('should reject tampered items', function() {
+            var encrypted = Ext.create('Ext.ux.Cache', {
+                    keyPrefix:     'Ext.ux.test.Encrypted.',
+                    storage:       'permanent',
+                    encryptionKey: encryptionKey
+                }),
+                frozen, last;
+            
+            encrypted.set('foo', 'bar');
+            encrypted.set('baz', 'qux');
+            
+            // Flip a bit in the ciphertext
+            frozen = localStorage.getItem('Ext.ux.test.Encrypted.foo');
+            last   = frozen.charAt(10) === 'A' ? 'B' : 'A';
+            localStorage.setItem('Ext.ux.test.Encrypted.foo', frozen.substr(0, 10) + last + frozen.substr(11));
+            
+            expect(function(){ encrypted.get('foo') }).
+                toThrow('Encrypted data is corrupted or was tampered with');
+            
+            // Move an item to another key
+            localStorage.setItem('Ext.ux.test.Encrypted.foo', localStorage.getItem('Ext.ux.test.Encrypted.baz'));
+            
+            expect(function(){ encrypted.get('foo') }).
+                toThrow('Encrypted data is corrupted or was tampered with');
+            
+            // Replace with plain item
+            localStorage.setItem('Ext.ux.test.Encrypted.foo', Ext.JSON.encode({
+                type: 'object',
+                value: {
+                    value:   { type: 'string', value: 'evil' },
+                    expires: { type: 'undefined' }
+                }
+            }));
+            
+            expect(function(){ encrypted.get('foo') }).toThrow('Cache item is not encrypted');
+            expect( encrypted.get('baz') ).toEqual('qux');
+        });
+        
+        it('should encrypt text as UTF-8', function() {
+            var cipher = Ext.create('Ext.ux.cache.Cipher', { key: encryptionKey }),
+                text   = 'caf\u00e9 \u20ac \ud83d\ude00 lone \ud800';
+            
+            // Same bytes as Web Crypto gets from TextEncoder
+            expect( cipher._utf8_encode('\u00e9\u20ac\ud83d\ude00') ).
+                toEqual([ 0xc3, 0xa9, 0xe2, 0x82, 0xac, 0xf0, 0x9f, 0x98, 0x80 ]);
+            
+            expect( cipher.decrypt(cipher.encrypt(text, 'foo'), 'foo') ).toEqual(text);
+        });
+        
+        it('should not read encrypted items without the key', function() {
+            var encrypted = Ext.create('Ext.ux.Cache', {
+                    keyPrefix:     'Ext.ux.test.Encrypted.',
+                    storage:       'permanent',
+                    encryptionKey: encryptionKey
+                }),
+                plain = Ext.create('Ext.ux.Cache', {
+                    keyPrefix: 'Ext.ux.test.Encrypted.',
+                    storage:   'permanent'
+                }),
+                wrong = Ext.create('Ext.ux.Cache', {
+                    keyPrefix:     'Ext.ux.test.Encrypted.',
+                    storage:       'permanent',
+                    encryptionKey: 'ffffffffffffffffffffffffffffffff'
+                });
+            
+            encrypted.set('foo', 'bar');
+            
+            expect(function(){ plain.get('foo') }).
+                toThrow('Cannot decrypt cache item without encryption key');
+            expect(function(){ wrong.get('foo') }).
+                toThrow('Encrypted data is corrupted or was tampered with');
+        });
+    };
+    
+    it('should not accept invalid encryption keys', function() {
+        expect(function(){
+            Ext.create('Ext.ux.Cache', { encryptionKey: [ 1, 2, 3 ] });
+        }).toThrow('Encryption key must be 16, 24 or 32 bytes long');
+        
+        expect(function(){
+            Ext.create('Ext.ux.Cache', { encryptKeys: true });
+        }).toThrow('Encrypting keys needs encryption key');
+    });
+    
+    it('should encrypt with AES-GCM', function() {
+        var cipher = Ext.create('Ext.ux.cache.Cipher', { key: '000102030405060708090a0b0c0d0e0f' }),
+            block  = cipher._encrypt_block([ 0x00, 0x11, 0x22, 0x33, 0x44, 0x55, 0x66, 0x77,
+                                             0x88, 0x99, 0xaa, 0xbb, 0xcc, 0xdd, 0xee, 0xff ]);
+        
+        // FIPS-197 test vector
+        expect( cipher._base64_encode(block) ).toEqual('acTg2Gp7BDDYzbeAcLTFWg==');
+        
+        expect( cipher.decrypt(cipher.encrypt('Ext.ux.Cache кеш', 'foo'), 'foo') ).
+            toEqual('Ext.ux.Cache кеш');
+        expect( cipher.encrypt('foo') ).not.toEqual( cipher.encrypt('foo') );
+        expect( cipher.hash('foo') ).toEqual( cipher.hash('foo') );
+        expect( cipher.hash('foo') ).not.toEqual( cipher.hash('bar') );
+    });
+    
+    if ( window.crypto && window.crypto.subtle && typeof Promise !== 'undefined' ) {
+        it('should be compatible with Web Crypto', function() {
+            var key       = [ 0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15 ],
+                cipher    = Ext.create('Ext.ux.cache.Cipher', { key: key }),
+                encrypted = cipher._base64_decode( cipher.encrypt('Ext.ux.Cache', 'foo') ),
+                decrypted;
+            
+            window.crypto.subtle.importKey('raw', new Uint8Array(key), 'AES-GCM', false, [ 'decrypt' ]).
+                then(function(cryptoKey) {
+                    return window.crypto.subtle.decrypt({
+                        name:           'AES-GCM',
+                        iv:             new Uint8Array( encrypted.slice(0, 12) ),
+                        additionalData: new Uint8Array( cipher._utf8_encode('foo') )
+                    }, cryptoKey, new Uint8Array( encrypted.slice(12) ));
+                }).
+                then(function(result) {
+                    decrypted = cipher._utf8_decode( Array.prototype.slice.call(new Uint8Array(result)) );
+                });
+            
+            waitsFor(function() { return decrypted !== undefined }, 'Web Crypto to decrypt', 1000);
+            
+            runs(function() {
+                expect(decrypted).toEqual('Ext.ux.Cache');
+            });
+        });
+    };
+    
+    /*
+        Integrity checking
+    */
+    if ( !Ext.isIE6 && !Ext.isIE7 ) {
+        var createCorrupted = function(config, errors) {
+            var corrupted = Ext.create('Ext.ux.Cache', Ext.apply({
+                keyPrefix: 'Ext.ux.test.Corrupted.',
+                storage:   'permanent',
+                listeners: {
+                    corrupt: function(cache, key, error) {
+                        errors.push([ key, error.msg || error.message ]);
+                    }
+                }
+            }, config));
+            
+            corrupted.set('good', 'foo');
+            localStorage.setItem('Ext.ux.test.Corrupted.bad', 'not JSON at all');
+            
+            return corrupted;
+        };
+        
+        it('should store checksum as the last property', function() {
+            var frozen;
+            
+            cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+            cache.set('foo', 'bar');
+            
+            frozen = localStorage.getItem(cache.keyPrefix + 'foo');
+            
+            expect( /,"checksum":\d+\}$/.test(frozen) ).toBeTruthy();
+        });
+        
+        it('should detect checksum mismatch', function() {
+            var frozen;
+            
+            cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+            cache.set('foo', 'bar');
+            
+            frozen = localStorage.getItem(cache.keyPrefix + 'foo');
+            localStorage.setItem(cache.keyPrefix + 'foo', frozen.replace('bar', 'baz'));
+            
+            expect(function(){ cache.get('foo') }).toThrow('Cache item checksum mismatch');
+        });
+        
+        it('should throw on corrupted items by default', function() {
+            var errors    = [],
+                corrupted = createCorrupted({}, errors);
+            
+            expect(function(){ corrupted.get('bad') }).toThrow();
+            expect( errors.length ).toEqual(1);
+            expect( errors[0][0] ).toEqual('bad');
+            expect( corrupted.get('good') ).toEqual('foo');
+            
+            // Corrupted items can still be replaced and removed
+            corrupted.on('set', Ext.emptyFn);
+            corrupted.set('bad', 'bar');
+            
+            expect( corrupted.get('bad') ).toEqual('bar');
+            
+            localStorage.setItem('Ext.ux.test.Corrupted.bad', '{"foo":');
+            corrupted.on('remove', Ext.emptyFn);
+            corrupted.remove('bad');
+            
+            expect( corrupted.has('bad') ).toBeFalsy();
+        });
+        
+        it('should remove corrupted items when asked to', function() {
+            var errors    = [],
+                corrupted = createCorrupted({ onCorrupt: 'remove' }, errors);
+            
+            expect( corrupted.get('bad') ).toBeUndefined();
+            expect( localStorage.getItem('Ext.ux.test.Corrupted.bad') ).toBeNull();
+            expect( errors.length ).toEqual(1);
+            expect( errors[0][0] ).toEqual('bad');
+            expect( corrupted.keys() ).toEqual([ 'good' ]);
+        });
+        
+        it('should ignore corrupted items when asked to', function() {
+            var errors    = [],
+                corrupted = createCorrupted({ onCorrupt: 'ignore' }, errors);
+            
+            expect( corrupted.get('bad') ).toBeUndefined();
+            expect( corrupted.has('bad') ).toBeFalsy();
+            expect( localStorage.getItem('Ext.ux.test.Corrupted.bad') ).toEqual('not JSON at all');
+            expect( errors.length ).toEqual(2);
+        });
+        
+        it('should skip corrupted items in maintenance operations', function() {
+            var errors    = [],
+                corrupted = createCorrupted({ onCorrupt: 'throw' }, errors);
+            
+            corrupted.maxItems = 2;
+            
+            expect( corrupted.purgeExpired() ).toEqual(0);
+            
+            corrupted.set('another', 'bar');
+            
+            expect( localStorage.getItem('Ext.ux.test.Corrupted.bad') ).toBeNull();
+            expect( Ext.Array.sort(corrupted.keys()) ).toEqual([ 'another', 'good' ]);
+            
+            localStorage.setItem('Ext.ux.test.Corrupted.bad', 'not JSON at all');
+            corrupted.clear();
+            
+            expect( localStorage.length ).toEqual(0);
+        });
+    };
+    
+    it('should not accept unknown onCorrupt policy', function() {
+        expect(function(){
+            Ext.create('Ext.ux.Cache', { onCorrupt: 'panic' });
+        }).toThrow('Invalid onCorrupt policy');
+    });
+    
+    /*
+        Namespaces
+    */
+    it('should match key prefix strictly', function() {
+        var app   = Ext.create('Ext.ux.Cache', { keyPrefix: 'App.',   storage: 'permanent' }),
+            myapp = Ext.create('Ext.ux.Cache', { keyPrefix: 'MyApp.', storage: 'permanent' });
+        
+        app.set('foo', 'bar');
+        myapp.set('baz', 'qux');
+        
+        expect( app.keys() ).toEqual([ 'foo' ]);
+        expect( myapp.keys() ).toEqual([ 'baz' ]);
+        
+        app.clear();
+        
+        expect( myapp.get('baz') ).toEqual('qux');
+    });
+    
+    it('should keep namespace items separately', function() {
+        var grid, rows;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        grid  = cache.namespace('grid');
+        rows  = grid.namespace('rows');
+        
+        expect( cache.namespace('grid') ).toBe(grid);
+        
+        cache.set('foo', 'parent');
+        grid.set('foo', 'child');
+        rows.set('foo', 'grandchild');
+        
+        expect( cache.get('foo') ).toEqual('parent');
+        expect( grid.get('foo') ).toEqual('child');
+        expect( rows.get('foo') ).toEqual('grandchild');
+        
+        expect( cache.keys() ).toEqual([ 'foo' ]);
+        expect( grid.keys() ).toEqual([ 'foo' ]);
+        expect( rows.keys() ).toEqual([ 'foo' ]);
+        
+        grid.remove('foo');
+        
+        expect( cache.get('foo') ).toEqual('parent');
+        expect( rows.get('foo') ).toEqual('grandchild');
+    });
+    
+    it('should clear namespaces with their parent', function() {
+        var cleared = [],
+            grid, rows, form;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        grid  = cache.namespace('grid');
+        rows  = grid.namespace('rows');
+        form  = cache.namespace('form');
+        
+        Ext.each([ cache, grid, rows, form ], function(c) {
+            c.set('foo', 'bar');
+            c.on('clear', function() { cleared.push(c) });
+        });
+        
+        grid.clear();
+        
+        expect( cleared.length ).toEqual(2);
+        expect( grid.has('foo') ).toBeFalsy();
+        expect( rows.has('foo') ).toBeFalsy();
+        expect( cache.get('foo') ).toEqual('bar');
+        expect( form.get('foo') ).toEqual('bar');
+        
+        cache.clear();
+        
+        expect( cleared.length ).toEqual(6);
+        expect( form.has('foo') ).toBeFalsy();
+        expect( localStorage.length ).toEqual(0);
+    });
+    
+    it('should inherit options in namespaces', function() {
+        var Point = function(x, y) { this.x = x; this.y = y },
+            grid, form, frozen;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent', compact: true });
+        cache.registerType('point', {
+            test:        function(value) { return value instanceof Point },
+            serialize:   function(value) { return [value.x, value.y] },
+            deserialize: function(data)  { return new Point(data[0], data[1]) }
+        });
+        
+        grid = cache.namespace('grid');
+        form = cache.namespace('form', { compact: false });
+        
+        grid.set('foo', new Point(1, 2));
+        form.set('foo', 'bar');
+        
+        expect( grid.get('foo') instanceof Point ).toBeTruthy();
+        expect( grid.get('foo').y ).toEqual(2);
+        
+        frozen = Ext.JSON.decode( localStorage.getItem(form.keyPrefix + 'foo') );
+        
+        expect( frozen.format ).toEqual(1);
+    });
+    
+    it('should not accept namespace separator in keys', function() {
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        expect(function(){ cache.set('foo\u001fbar', 'baz') }).
+            toThrow('Cache key cannot contain namespace separator');
+        expect(function(){ cache.namespace('') }).
+            toThrow('Namespace name must be a non-empty string');
+        expect(function(){ cache.namespace('foo\u001fbar') }).
+            toThrow('Namespace name cannot contain namespace separator');
+    });
+    
+    /*
+        Tags
+    */
+    it('should find and invalidate items by tag', function() {
+        var removed = [];
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        cache.on('remove', function(c, key) { removed.push(key) });
+        
+        cache.set('user1', 'foo', undefined, { tags: [ 'users', 'page1' ] });
+        cache.set('user2', 'bar', undefined, { tags: 'users' });
+        cache.set('page1', 'baz', undefined, { tags: 'page1' });
+        cache.set('plain', 'qux');
+        
+        expect( cache.keysByTag('users').sort() ).toEqual([ 'user1', 'user2' ]);
+        expect( cache.keysByTag('page1').sort() ).toEqual([ 'page1', 'user1' ]);
+        expect( cache.keysByTag('nothing') ).toEqual([]);
+        expect( cache.keys().sort() ).toEqual([ 'page1', 'plain', 'user1', 'user2' ]);
+        
+        expect( cache.invalidateTag('users') ).toEqual(2);
+        expect( removed.sort() ).toEqual([ 'user1', 'user2' ]);
+        expect( cache.has('user1') ).toBeFalsy();
+        expect( cache.get('page1') ).toEqual('baz');
+        expect( cache.keysByTag('page1') ).toEqual([ 'page1' ]);
+        expect( cache.get('plain') ).toEqual('qux');
+    });
+    
+    it('should keep tag index consistent', function() {
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        cache.set('foo', 1, undefined, { tags: 'a' });
+        cache.set('bar', 2, undefined, { tags: 'a' });
+        cache.set('baz', 3, 50, { tags: 'a' });
+        
+        cache.set('foo', 4, undefined, { tags: 'b' });
+        cache.set('bar', 5);
+        
+        expect( cache.keysByTag('a') ).toEqual([ 'baz' ]);
+        expect( cache.keysByTag('b') ).toEqual([ 'foo' ]);
+        
+        waits(100);
+        
+        runs(function() {
+            var expired = [];
+            
+            cache.on('expire', function(c, key) { expired.push(key) });
+            
+            expect( cache.keysByTag('a') ).toEqual([]);
+            expect( expired ).toEqual([ 'baz' ]);
+            
+            cache.remove('foo');
+            
+            expect( cache.keysByTag('b') ).toEqual([]);
+            expect( localStorage.getItem('\u001ftags') ).toBeNull();
+            
+            cache.set('foo', 6, undefined, { tags: 'b' });
+            cache.clear();
+            
+            expect( localStorage.length ).toEqual(0);
+        });
+    });
+    
+    it('should rebuild corrupted tag index', function() {
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent', keyPrefix: 'tags.' });
+        
+        cache.set('foo', 1, undefined, { tags: 'a' });
+        cache.set('bar', 2, undefined, { tags: [ 'a', 'b' ] });
+        
+        localStorage.setItem('tags.\u001ftags', 'garbage');
+        
+        expect( cache.keysByTag('a').sort() ).toEqual([ 'bar', 'foo' ]);
+        expect( cache.keysByTag('b') ).toEqual([ 'bar' ]);
+    });
+    
+    it('should not accept invalid tags', function() {
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        expect(function(){ cache.set('foo', 'bar', undefined, { tags: '' }) }).
+            toThrow('Cache tags must be non-empty strings');
+        expect(function(){ cache.set('foo', 'bar', undefined, { tags: [ 'a', 42 ] }) }).
+            toThrow('Cache tags must be non-empty strings');
+        expect( cache.has('foo') ).toBeFalsy();
+    });
+    
+    /*
+        Bulk operations
+    */
+    it('should get, set and remove many items at once', function() {
+        var events = [];
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        Ext.each([ 'set', 'remove', 'setmany', 'removemany' ], function(name) {
+            cache.on(name, function() { events.push(name) });
+        });
+        
+        expect( cache.setMany({ foo: 'bar', baz: [ 1, 2 ], qux: null }, 60000) ).
+            toEqual({ foo: 'bar', baz: [ 1, 2 ], qux: null });
+        
+        expect( cache.getMany([ 'foo', 'baz', 'qux', 'none' ]) ).
+            toEqual({ foo: 'bar', baz: [ 1, 2 ], qux: null });
+        
+        expect( cache.removeMany([ 'foo', 'qux', 'none' ]) ).toEqual(2);
+        expect( cache.keys() ).toEqual([ 'baz' ]);
+        
+        expect( events ).toEqual([ 'setmany', 'removemany' ]);
+    });
+    
+    it('should not store any items if one of them is invalid', function() {
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        cache.set('foo', 'old');
+        
+        expect(function(){ cache.setMany({ foo: 'new', bar: function() {} }) }).
+            toThrow('Cache cannot store function type values');
+        
+        expect( cache.get('foo') ).toEqual('old');
+        expect( cache.keys() ).toEqual([ 'foo' ]);
+    });
+    
+    it('should roll back bulk set on failure', function() {
+        var Bomb = function() {};
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        cache.registerType('bomb', {
+            test:        function(value) { return value instanceof Bomb },
+            serialize:   function(value) { throw new Error('Boom') },
+            deserialize: function(data)  { return new Bomb() }
+        });
+        
+        cache.set('foo', 'old', undefined, { tags: 'a' });
+        
+        expect(function(){
+            cache.setMany({ foo: 'new', bar: 'baz', qux: new Bomb() }, undefined, { tags: 'b' });
+        }).toThrow('Boom');
+        
+        expect( cache.get('foo') ).toEqual('old');
+        expect( cache.has('bar') ).toBeFalsy();
+        expect( cache.keys() ).toEqual([ 'foo' ]);
+        expect( cache.keysByTag('a') ).toEqual([ 'foo' ]);
+        expect( cache.keysByTag('b') ).toEqual([]);
+    });
+    
+    it('should roll back tag index in memory storage', function() {
+        var huge = new Array(1000).join('x');
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'memory', maxBytes: 1000 });
+        
+        cache.set('foo', 'old', undefined, { tags: 'a' });
+        
+        expect(function(){
+            cache.setMany({ bar: 'baz', qux: huge }, undefined, { tags: 'a' });
+        }).toThrow('Cache item is larger than maxBytes');
+        
+        expect( cache.keysByTag('a') ).toEqual([ 'foo' ]);
+        
+        expect(function(){
+            cache.transaction(function(tx) {
+                tx.remove('foo');
+                tx.set('qux', huge);
+            });
+        }).toThrow('Cache item is larger than maxBytes');
+        
+        expect( cache.keysByTag('a') ).toEqual([ 'foo' ]);
+        
+        cache.invalidateTag('a');
+        
+        expect( cache.has('foo') ).toBeFalsy();
+    });
+    
+    /*
+        Transactions
+    */
+    it('should commit transaction changes at once', function() {
+        var events = [],
+            result;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        cache.set('foo', 'old');
+        cache.set('bar', 'gone');
+        
+        Ext.each([ 'set', 'remove', 'commit' ], function(name) {
+            cache.on(name, function(c, keys) { events.push([ name, keys ]) });
+        });
+        
+        result = cache.transaction(function(tx) {
+            tx.set('foo', 'new');
+            tx.set('baz', { step: 1 });
+            tx.remove('bar');
+            
+            expect( tx.get('foo') ).toEqual('new');
+            expect( tx.has('bar') ).toBeFalsy();
+            expect( tx.keys().sort() ).toEqual([ 'baz', 'foo' ]);
+            
+            // Nothing is written yet
+            expect( cache.get('foo') ).toEqual('old');
+            expect( cache.has('baz') ).toBeFalsy();
+            expect( cache.get('bar') ).toEqual('gone');
+            
+            return 'done';
+        });
+        
+        expect( result ).toEqual('done');
+        expect( cache.get('foo') ).toEqual('new');
+        expect( cache.get('baz') ).toEqual({ step: 1 });
+        expect( cache.has('bar') ).toBeFalsy();
+        expect( events ).toEqual([ [ 'commit', [ 'foo', 'baz', 'bar' ] ] ]);
+    });
+    
+    it('should roll back transaction on exception', function() {
+        var saved;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        cache.set('foo', 'old');
+        
+        expect(function(){
+            cache.transaction(function(tx) {
+                saved = tx;
+                
+                tx.set('foo', 'new');
+                tx.remove('foo');
+                tx.set('bar', 'baz');
+                
+                throw new Error('Oops');
+            });
+        }).toThrow('Oops');
+        
+        expect( cache.get('foo') ).toEqual('old');
+        expect( cache.keys() ).toEqual([ 'foo' ]);
+        
+        expect(function(){ saved.set('foo', 'bar') }).toThrow('Transaction is already finished');
+        
+        cache.transaction(function(tx) {
+            tx.set('foo', 'new');
+            tx.rollback();
+        });
+        
+        expect( cache.get('foo') ).toEqual('old');
+    });
+    
+    it('should leave cache intact when commit fails', function() {
+        var Bomb = function() {};
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        cache.registerType('bomb', {
+            test:        function(value) { return value instanceof Bomb },
+            serialize:   function(value) { throw new Error('Boom') },
+            deserialize: function(data)  { return new Bomb() }
+        });
+        
+        cache.set('foo', 'old');
+        
+        expect(function(){
+            cache.transaction(function(tx) {
+                tx.remove('foo');
+                tx.set('bar', 'baz');
+                tx.set('qux', new Bomb());
+            });
+        }).toThrow('Boom');
+        
+        expect( cache.get('foo') ).toEqual('old');
+        expect( cache.keys() ).toEqual([ 'foo' ]);
+    });
+    
+    it('should check transaction input right away', function() {
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        expect(function(){
+            cache.transaction(function(tx) {
+                tx.set('foo', 'bar');
+                tx.set('', 'baz');
+            });
+        }).toThrow('Cache key must be a non-empty string');
+        
+        expect( cache.has('foo') ).toBeFalsy();
+    });
+    
+    /*
+        Querying
+    */
+    it('should iterate over live items', function() {
+        var seen = [];
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        cache.set('foo', 1);
+        cache.set('bar', 2);
+        cache.set('baz', 3, 50);
+        
+        waits(100);
+        
+        runs(function() {
+            var expired = [];
+            
+            cache.on('expire', function(c, key) { expired.push(key) });
+            
+            cache.each(function(key, value) { seen.push([ key, value, this ]) }, 'scope');
+            
+            expect( seen.length ).toEqual(2);
+            expect( seen[0][2] == 'scope' ).toBeTruthy();
+            
+            expect( Ext.Array.map(cache.entries(), function(e) { return e.key + e.value }).sort() ).
+                toEqual([ 'bar2', 'foo1' ]);
+            
+            // Expired item is skipped but left alone...
+            expect( expired ).toEqual([]);
+            expect( cache.keys().length ).toEqual(3);
+            
+            // ...unless asked for
+            cache.each(Ext.emptyFn, null, { purge: true });
+            
+            expect( expired ).toEqual([ 'baz' ]);
+            expect( cache.keys().length ).toEqual(2);
+        });
+    });
+    
+    it('should find keys by pattern', function() {
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        Ext.each([ 'user.1', 'user.2', 'user.10', 'users', 'page.1' ], function(key) {
+            cache.set(key, key);
+        });
+        
+        expect( cache.find('user.*').sort() ).toEqual([ 'user.1', 'user.10', 'user.2' ]);
+        expect( cache.find('user.?').sort() ).toEqual([ 'user.1', 'user.2' ]);
+        expect( cache.find('*.1').sort() ).toEqual([ 'page.1', 'user.1' ]);
+        expect( cache.find('users') ).toEqual([ 'users' ]);
+        expect( cache.find(/^user\.\d+$/).sort() ).toEqual([ 'user.1', 'user.10', 'user.2' ]);
+        expect( cache.find(/user\./g).sort() ).toEqual([ 'user.1', 'user.10', 'user.2' ]);
+        expect( cache.find('nothing*') ).toEqual([]);
+        
+        expect(function(){ cache.find(42) }).
+            toThrow('Cache key pattern must be a String or RegExp');
+    });
+    
+    it('should return item metadata', function() {
+        var before = +new Date(),
+            meta;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent', trackAccess: true });
+        
+        cache.set('foo', 'bar', 60000, { tags: 'a', staleAfter: 30000 });
+        cache.get('foo');
+        cache.get('foo');
+        
+        meta = cache.getMeta('foo');
+        
+        expect( meta.expires - before ).not.toBeLessThan(60000);
+        expect( meta.staleAfter - before ).not.toBeLessThan(30000);
+        expect( meta.created - before ).not.toBeLessThan(0);
+        expect( meta.accessed - meta.created ).toBeGreaterThan(0);
+        expect( meta.hits ).toEqual(2);
+        expect( meta.tags ).toEqual([ 'a' ]);
+        expect( meta.size ).toEqual( ('Ext.ux.Cache.foo' + localStorage.getItem('Ext.ux.Cache.foo')).length * 2 );
+        
+        expect( cache.getMeta('none') ).toBeUndefined();
+    });
+    
+    it('should not track access unless asked for', function() {
+        var meta;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'memory' });
+        
+        cache.set('foo', 'bar');
+        cache.get('foo');
+        
+        meta = cache.getMeta('foo');
+        
+        expect( meta.expires ).toBeNull();
+        expect( meta.created ).toBeNull();
+        expect( meta.accessed ).toBeNull();
+        expect( meta.hits ).toBeNull();
+        expect( meta.tags ).toEqual([]);
+    });
+    
+    /*
+        Statistics
+    */
+    it('should count hits, misses and writes', function() {
+        var stats;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent', maxItems: 2 });
+        
+        cache.set('foo', 'bar');
+        cache.set('baz', 'qux', 50);
+        cache.setMany({ a: 1 });
+        
+        cache.get('a');
+        cache.get('a');
+        cache.get('none');
+        
+        stats = cache.getStats();
+        
+        expect( stats.hits ).toEqual(2);
+        expect( stats.misses ).toEqual(1);
+        expect( stats.hitRate ).toEqual(2 / 3);
+        expect( stats.writes ).toEqual(3);
+        expect( stats.evictions ).toEqual(1);
+        expect( stats.expirations ).toEqual(0);
+        expect( stats.items ).toEqual(2);
+        expect( stats.bytes ).toBeGreaterThan(0);
+        
+        waits(100);
+        
+        runs(function() {
+            expect( cache.has('foo') ).toBeFalsy();     // Evicted
+            expect( cache.get('baz') ).toBeUndefined(); // Expired
+            
+            stats = cache.getStats();
+            
+            expect( stats.misses ).toEqual(2);
+            expect( stats.expirations ).toEqual(1);
+            expect( stats.items ).toEqual(1);
+            
+            cache.resetStats();
+            
+            stats = cache.getStats();
+            
+            expect( stats.hits ).toEqual(0);
+            expect( stats.misses ).toEqual(0);
+            expect( stats.hitRate ).toEqual(0);
+            expect( stats.writes ).toEqual(0);
+            expect( stats.items ).toEqual(1);
+        });
+    });
+    
+    it('should measure storage usage', function() {
+        var stats;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent', keyPrefix: 'p.' });
+        
+        cache.set('foo', 'bar');
+        cache.namespace('grid').set('baz', 'qux');
+        cache.namespace('grid').get('baz');
+        
+        stats = cache.getStats();
+        
+        expect( stats.items ).toEqual(1);
+        expect( stats.bytes ).toEqual( ('p.foo' + localStorage.getItem('p.foo')).length * 2 );
+        expect( stats.hits ).toEqual(0);
+        
+        expect( stats.namespaces.grid.items ).toEqual(1);
+        expect( stats.namespaces.grid.hits ).toEqual(1);
+        expect( stats.namespaces.grid.writes ).toEqual(1);
+        
+        cache.resetStats();
+        
+        expect( cache.getStats().namespaces.grid.hits ).toEqual(0);
+    });
+    
+    it('should fire stats event periodically', function() {
+        var reports = [];
+        
+        cache = Ext.create('Ext.ux.Cache', {
+            storage:       'memory',
+            statsInterval: 20,
+            listeners: {
+                stats: function(c, stats) { reports.push(stats) }
+            }
+        });
+        
+        cache.set('foo', 'bar');
+        cache.get('foo');
+        
+        waitsFor(function() { return reports.length >= 2 }, 'stats events', 1000);
+        
+        runs(function() {
+            cache.destroy();
+            
+            expect( reports[0].hits ).toEqual(1);
+            expect( reports[0].items ).toEqual(1);
+        });
+    });
+    
+    /*
+        Memoization
+    */
+    it('should memoize function results', function() {
+        var calls = 0,
+            add, obj, getUser;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        add = cache.memoize(function(a, b) { calls++; return a + b }, { name: 'add' });
+        
+        expect( add(1, 2) ).toEqual(3);
+        expect( add(1, 2) ).toEqual(3);
+        expect( add(2, 1) ).toEqual(3);
+        expect( calls ).toEqual(2);
+        expect( cache.keys().sort() ).toEqual([ 'add:[1,2]', 'add:[2,1]' ]);
+        
+        obj = {
+            factor: 10,
+            scale:  cache.memoize(function(x) { calls++; return x * this.factor }, {
+                keyFn: function(x) { return 'scale.' + x + '.' + this.factor }
+            })
+        };
+        
+        expect( obj.scale(2) ).toEqual(20);
+        expect( obj.scale(2) ).toEqual(20);
+        expect( calls ).toEqual(3);
+        expect( cache.get('scale.2.10') ).toEqual(20);
+        
+        getUser = cache.memoize(function(id) { calls++; return { id: id } }, {
+            keyFn: function(id) { return id }
+        });
+        
+        expect( getUser(42) ).toEqual({ id: 42 });
+        expect( getUser(42) ).toEqual({ id: 42 });
+        expect( calls ).toEqual(4);
+        expect( cache.get('42') ).toEqual({ id: 42 });
+    });
+    
+    it('should not memoize undefined results and exceptions', function() {
+        var calls = 0,
+            fn;
+        
+        cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+        
+        fn = cache.memoize(function(x) {
+            calls++;
+            
+            if ( x === 'bad' ) throw new Error('Bad');
+            
+            return x === 'none' ? undefined : x;
+        }, { expires: 60000, tags: 'memo' });
+        
+        expect( fn('none') ).toBeUndefined();
+        expect( fn('none') ).toBeUndefined();
+        expect(function(){ fn('bad') }).toThrow('Bad');
+        expect(function(){ fn('bad') }).toThrow('Bad');
+        expect( fn('good') ).toEqual('good');
+        expect( fn('good') ).toEqual('good');
+        
+        expect( calls ).toEqual(5);
+        expect( cache.keysByTag('memo') ).toEqual([ '["good"]' ]);
+        expect( cache.getMeta('["good"]').expires ).not.toBeNull();
+    });
+    
+    if ( typeof Promise !== 'undefined' ) {
+        it('should memoize asynchronous function results', function() {
+            var calls   = 0,
+                results = [],
+                fn;
+            
+            runs(function() {
+                cache = Ext.create('Ext.ux.Cache', { storage: 'permanent' });
+                
+                fn = cache.memoizeAsync(function(x) {
+                    calls++;
+                    
+                    return x === 'bad' ? Promise.reject(new Error('Bad'))
+                         : x === 'plain' ? x
+                         :                 Promise.resolve(x + '!')
+                         ;
+                }, { name: 'async' });
+                
+                // Concurrent calls share the result
+                fn('foo').then(function(v) { results.push(v) });
+                fn('foo').then(function(v) { results.push(v) });
+                fn('plain').then(function(v) { results.push(v) });
+                fn('bad').then(null, function(e) { results.push(e.message) });
+            });
+            
+            waitsFor(function() { return results.length === 4 }, 'memoized Promises', 1000);
+            
+            runs(function() {
+                expect( results.sort() ).toEqual([ 'Bad', 'foo!', 'foo!', 'plain' ]);
+                expect( calls ).toEqual(3);
+                expect( cache.get('async:["foo"]') ).toEqual('foo!');
+                expect( cache.has('async:["bad"]') ).toBeFalsy();
+                
+                fn('foo').then(function(v) { results.push(v) });
+            });
+            
+            waitsFor(function() { return results.length === 5 }, 'cached Promise', 1000);
+            
+            runs(function() {
+                expect( results[4] ).toEqual('foo!');
+                expect( calls ).toEqual(3);
+            });
         });
     };
 });
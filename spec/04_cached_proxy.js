@@ -0,0 +1,109 @@
+/*
+ * @title Ext.ux.data.proxy.Cached test suite
+ *
+ * @css ../extjs/resources/css/ext-all.css
+ * @script ../extjs/ext-debug-w-comments.js
+ *
+ * @script ../ux/cache/Storage.js
+ * @script ../ux/cache/MemoryStorage.js
+ * @script ../ux/cache/WebStorage.js
+ * @script ../ux/cache/IndexedDBStorage.js
+ * @script ../ux/cache/OverflowStorage.js
+ * @script ../ux/cache/Compressor.js
+ * @script ../ux/cache/Cipher.js
+ * @script ../ux/cache/Transaction.js
+ * @script ../ux/Cache.js
+ * @script ../ux/data/proxy/Cached.js
+ */
+
+describe('Ext.ux.data.proxy.Cached test suite', function() {
+    var proxy, inner;
+    
+    Ext.define('Ext.ux.test.Person', {
+        extend: 'Ext.data.Model',
+        fields: [ 'id', 'name' ]
+    });
+    
+    var read = function(params) {
+        var records;
+        
+        proxy.read(Ext.create('Ext.data.Operation', { action: 'read', params: params }),
+                   function(operation) { records = operation.getRecords() });
+        
+        return Ext.Array.map(records, function(record) { return record.get('name') });
+    };
+    
+    beforeEach(function() {
+        proxy = Ext.create('Ext.ux.data.proxy.Cached', {
+            model: 'Ext.ux.test.Person',
+            cache: { storage: 'memory' },
+            proxy: {
+                type:   'memory',
+                url:    '/people',
+                reader: { type: 'json', root: 'people' },
+                data:   { people: [ { id: 1, name: 'Alice' } ] }
+            }
+        });
+        
+        inner = proxy.proxy;
+    });
+    
+    it('should be able to create proxy', function() {
+        expect( proxy instanceof Ext.ux.data.proxy.Cached ).toBeTruthy();
+        expect( inner instanceof Ext.data.proxy.Memory ).toBeTruthy();
+        expect( proxy.cache instanceof Ext.ux.Cache ).toBeTruthy();
+    });
+    
+    it('should choke without wrapped proxy', function() {
+        expect(function(){ Ext.create('Ext.ux.data.proxy.Cached', {}) }).
+            toThrow('Cached proxy needs a proxy to pass operations to');
+    });
+    
+    it('should serve reads from cache', function() {
+        expect( read() ).toEqual(['Alice']);
+        
+        inner.data = { people: [ { id: 2, name: 'Bob' } ] };
+        
+        expect( read() ).toEqual(['Alice']);
+        expect( proxy.cache.keys().length ).toEqual(1);
+    });
+    
+    it('should key cached responses by params', function() {
+        expect( read({ foo: 'bar' }) ).toEqual(['Alice']);
+        
+        inner.data = { people: [ { id: 2, name: 'Bob' } ] };
+        
+        expect( read({ foo: 'qux' }) ).toEqual(['Bob']);
+        expect( read({ foo: 'bar' }) ).toEqual(['Alice']);
+    });
+    
+    it('should key cached responses by extra params', function() {
+        proxy.setExtraParam('customerId', 1);
+        
+        expect( inner.extraParams.customerId ).toEqual(1);
+        expect( read() ).toEqual(['Alice']);
+        
+        inner.data = { people: [ { id: 2, name: 'Bob' } ] };
+        proxy.setExtraParam('customerId', 2);
+        
+        expect( read() ).toEqual(['Bob']);
+        expect( read({ customerId: 1 }) ).toEqual(['Alice']);
+        
+        proxy.setExtraParam('customerId', 1);
+        
+        expect( read() ).toEqual(['Alice']);
+    });
+    
+    it('should invalidate cache on writes', function() {
+        var record = Ext.create('Ext.ux.test.Person', { id: 1, name: 'Alice' });
+        
+        expect( read() ).toEqual(['Alice']);
+        
+        inner.data = { people: [ { id: 1, name: 'Bob' } ] };
+        
+        proxy.update(Ext.create('Ext.data.Operation', { action: 'update', records: [ record ] }));
+        
+        expect( proxy.cache.keys().length ).toEqual(0);
+        expect( read() ).toEqual(['Bob']);
+    });
+});